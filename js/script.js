@@ -6,103 +6,574 @@
 // ===============================================================================================================
 
 /**
- * Manages the website's theme (light, dark, high-contrast).
- * - Loads theme from localStorage or system preference.
- * - Updates UI elements to reflect the current theme.
- * - Handles user interaction for theme switching.
+ * Shared service for the user's media preferences (prefers-reduced-motion, prefers-contrast, prefers-color-scheme).
+ * - Exposes their current state, read live from matchMedia.
+ * - Resolves the scroll behavior: smooth scrolling becomes an instant jump under prefers-reduced-motion.
+ * - Notifies its subscribers when one of them changes, so that every manager reacts without a reload.
  */
-class ThemeManager {
+class MediaPreferences {
+    static QUERIES = {
+        reducedMotion: '(prefers-reduced-motion: reduce)',
+        moreContrast: '(prefers-contrast: more)',
+        darkScheme: '(prefers-color-scheme: dark)'
+    };
+
     constructor() {
-        this.themes = {
-            light: { name: 'Light', icon: 'bi-sun', label: 'Light' },
-            dark: { name: 'Dark', icon: 'bi-moon', label: 'Dark' },
-            'high-contrast': { name: 'High Contrast', icon: 'bi-circle-half', label: 'High Contrast' }
-        };
+        this.mediaQueries = {};
+        this.subscribers = new Set();
+        this.init();
+    }
+
+    init() {
+        Object.entries(MediaPreferences.QUERIES).forEach(([name, query]) => {
+            const mediaQuery = window.matchMedia?.(query);
+            if (!mediaQuery) return;
+            this.mediaQueries[name] = mediaQuery;
+            mediaQuery.addEventListener?.('change', () => this.notify(name));
+        });
+    }
+
+    get reducedMotion() {
+        return this.mediaQueries.reducedMotion?.matches || false;
+    }
+
+    get moreContrast() {
+        return this.mediaQueries.moreContrast?.matches || false;
+    }
+
+    get darkScheme() {
+        return this.mediaQueries.darkScheme?.matches || false;
+    }
+
+    /**
+     * @param {string} [behavior] - The behavior wanted when motion is allowed.
+     * @returns {string} - A ScrollToOptions/scrollIntoView behavior.
+     */
+    scrollBehavior(behavior = 'smooth') {
+        return this.reducedMotion ? 'instant' : behavior;
+    }
+
+    /**
+     * @param {function(string, MediaPreferences)} callback - Called with the name of the changed preference.
+     * @returns {function} - Unsubscribes the callback.
+     */
+    subscribe(callback) {
+        this.subscribers.add(callback);
+        return () => this.subscribers.delete(callback);
+    }
+
+    notify(name) {
+        this.subscribers.forEach(callback => {
+            try {
+                callback(name, this);
+            } catch (e) {
+                console.error('MediaPreferences: A subscriber failed', e);
+            }
+        });
+    }
+}
+
+const mediaPreferences = new MediaPreferences();
+
+/**
+ * Propagates the UI preferences stored in localStorage (theme, reading preferences, collapsed table of contents)
+ * to every other open page of the site, including the reveal.js decks of slides/ (see their site-preferences plugin).
+ * - Uses a BroadcastChannel where available: managers publish the keys they have just written.
+ * - Otherwise falls back on the `storage` event, fired by the browser in the other tabs on every localStorage write.
+ * - Subscribers receive the new raw value of the key (null when removed), and must apply it without saving it again.
+ */
+class PreferencesSync {
+    static CHANNEL_NAME = 'site-preferences';
+
+    constructor() {
+        this.subscribers = new Map();
+        this.channel = null;
+        this.init();
+    }
+
+    init() {
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(PreferencesSync.CHANNEL_NAME);
+            this.channel.addEventListener('message', (e) => {
+                if (e.data && typeof e.data.key === 'string') this.notify(e.data.key, e.data.value ?? null);
+            });
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key && e.storageArea === window.localStorage) this.notify(e.key, e.newValue);
+            });
+        }
+    }
+
+    /**
+     * Tells the other pages that a key was written (or removed) in localStorage.
+     * @param {string} key - The localStorage key.
+     */
+    publish(key) {
+        if (!this.channel) return; // The storage event reaches the other tabs by itself
+        let value = null;
+        try {
+            value = localStorage.getItem(key);
+        } catch (e) { /* Storage unavailable: nothing to share */ }
+        this.channel.postMessage({ key, value });
+    }
+
+    /**
+     * @param {string} key - The localStorage key to watch.
+     * @param {function(?string)} callback - Called with the new value written by another page.
+     * @returns {function} - Unsubscribes the callback.
+     */
+    subscribe(key, callback) {
+        if (!this.subscribers.has(key)) this.subscribers.set(key, new Set());
+        this.subscribers.get(key).add(callback);
+        return () => this.subscribers.get(key).delete(callback);
+    }
+
+    notify(key, value) {
+        this.subscribers.get(key)?.forEach(callback => {
+            try {
+                callback(value);
+            } catch (e) {
+                console.error(`PreferencesSync: A subscriber of ${key} failed`, e);
+            }
+        });
+    }
+}
+
+const preferencesSync = new PreferencesSync();
+
+/**
+ * Reads the optional theme configuration block of the page, declaring extra themes with the same shape
+ * as ThemeManager.THEMES: `<script type="application/json" id="theme-config">{"themes": {...}}</script>`.
+ * @returns {object} - The parsed configuration, or an empty object.
+ */
+function readThemeConfig() {
+    const configElement = document.getElementById('theme-config');
+    if (!configElement) return {};
+    try {
+        return JSON.parse(configElement.textContent);
+    } catch (e) {
+        console.error('Invalid #theme-config JSON:', e);
+        return {};
+    }
+}
+
+/**
+ * Manages the website's theme from a data-driven registry (ThemeManager.THEMES plus the #theme-config themes).
+ * - Loads theme from localStorage or system preference: high-contrast under prefers-contrast: more,
+ *   otherwise light or dark from prefers-color-scheme. Without a saved theme, follows their changes live;
+ *   the "Auto (système)" option of the menu clears the saved theme to get back to that mode.
+ * - Generates the .theme-option entries of the #themeDropdown menu from the registry.
+ * - Injects the CSS variables of the registry themes, and caches those of the current theme (with its
+ *   code style) in localStorage so that the inline script of the <head> applies them before first paint.
+ * - Updates UI elements, the highlight.js stylesheet and the themed images to reflect the current theme:
+ *   any <img> may declare variants with `data-src-<theme>` attributes (`data-src-dark`, `data-src-high-contrast`...),
+ *   and any <picture> with `<source data-theme="dark">` or `media="(prefers-color-scheme: dark)"` sources.
+ *   A variant for `dark`/`light` also serves the other themes of that color scheme. Post images without
+ *   variant get an invert (diagrams) or dim (photos) filter in dark themes, see "Theme Image Variants" in styles.css.
+ * - Follows the theme chosen in the other open pages of the site (PreferencesSync).
+ * - Handles user interaction for theme switching: the menu is an ARIA menuitemradio group navigable with
+ *   the arrow keys, Home and End, Alt+Shift+T cycles through the options (Auto included) from anywhere in the page,
+ *   and every change is announced in a polite live region ("Thème sombre activé").
+ */
+class ThemeManager {
+    /**
+     * Theme definitions:
+     * - name, label, icon: shown in the dropdown and in #themeDropdown (Bootstrap Icons class).
+     * - spokenLabel: French name used in the live announcement, defaults to the label.
+     * - colorScheme: 'light' or 'dark', for native form controls and scrollbars.
+     * - vars: CSS custom properties of the theme. Empty for light, dark and high-contrast,
+     *   whose variables live in styles.css.
+     * - codeStyle: highlight.js stylesheet of css/highlight/.
+     */
+    static CYCLE_SHORTCUT = 'Alt+Shift+T';
+
+    /** Menu option that follows the system preferences instead of a registry theme. */
+    static AUTO_OPTION = { label: 'Auto (système)', spokenLabel: 'automatique', icon: 'bi-display' };
+
+    static THEMES = {
+        light: {
+            name: 'Light', label: 'Light', spokenLabel: 'clair', icon: 'bi-sun', colorScheme: 'light', vars: {},
+            codeStyle: 'github.min.css'
+        },
+        dark: {
+            name: 'Dark', label: 'Dark', spokenLabel: 'sombre', icon: 'bi-moon', colorScheme: 'dark', vars: {},
+            codeStyle: 'github-dark.min.css'
+        },
+        'high-contrast': {
+            name: 'High Contrast', label: 'High Contrast', spokenLabel: 'à contraste élevé',
+            icon: 'bi-circle-half', colorScheme: 'dark', vars: {},
+            codeStyle: 'high-contrast.css'
+        },
+        sepia: {
+            name: 'Sepia', label: 'Sepia', spokenLabel: 'sépia', icon: 'bi-cup-hot', colorScheme: 'light',
+            vars: {
+                '--bg-primary': '#f4ecd8', '--bg-secondary': '#ebdfc4', '--bg-tertiary': '#e0d0ae',
+                '--text-primary': '#3b2f20', '--text-secondary': '#5e4b36', '--text-muted': '#6e5a43',
+                '--accent-color': '#8b4f1d', '--accent-hover': '#6d3d16',
+                '--border-color': '#d6c4a0', '--shadow-color': 'rgba(59, 47, 32, 0.12)',
+                '--navbar-bg': 'var(--accent-color)', '--card-bg': '#faf4e6',
+                '--success-color': '#4f7a28', '--warning-color': '#b7791f', '--danger-color': '#a8322d',
+                '--code-highlight-bg': 'rgba(139, 79, 29, 0.15)'
+            },
+            codeStyle: 'solarized-light.min.css'
+        },
+        solarized: {
+            name: 'Solarized', label: 'Solarized', spokenLabel: 'Solarized',
+            icon: 'bi-brightness-alt-high', colorScheme: 'dark',
+            vars: {
+                '--bg-primary': '#002b36', '--bg-secondary': '#073642', '--bg-tertiary': '#0e4b5a',
+                '--text-primary': '#eee8d5', '--text-secondary': '#93a1a1', '--text-muted': '#839496',
+                '--accent-color': '#268bd2', '--accent-hover': '#2aa198',
+                '--border-color': '#2c5560', '--shadow-color': 'rgba(0, 0, 0, 0.35)',
+                '--navbar-bg': 'rgba(0, 43, 54, 0.95)', '--card-bg': '#073642',
+                '--success-color': '#859900', '--warning-color': '#b58900', '--danger-color': '#dc322f',
+                '--code-highlight-bg': 'rgba(38, 139, 210, 0.25)',
+                '--diff-added-bg': 'rgba(133, 153, 0, 0.3)', '--diff-removed-bg': 'rgba(220, 50, 47, 0.3)'
+            },
+            codeStyle: 'solarized-dark.min.css'
+        },
+        dyslexia: {
+            name: 'Dyslexia', label: 'Dyslexia-friendly', spokenLabel: 'adapté à la dyslexie',
+            icon: 'bi-fonts', colorScheme: 'light',
+            vars: {
+                // Cream background and dark gray text: softer than pure black on white
+                '--bg-primary': '#fbf8ef', '--bg-secondary': '#f1ecdd', '--bg-tertiary': '#e4dcc6',
+                '--text-primary': '#2b2b2b', '--text-secondary': '#4a4a4a', '--text-muted': '#5c5c5c',
+                '--accent-color': '#1d5fa8', '--accent-hover': '#174c86',
+                '--border-color': '#d9d1bb', '--shadow-color': 'rgba(0, 0, 0, 0.08)',
+                '--navbar-bg': 'var(--accent-color)', '--card-bg': '#fffdf6',
+                '--success-color': '#1e7b45', '--warning-color': '#a86b00', '--danger-color': '#b3261e',
+                '--font-family-base': "'OpenDyslexic', 'Lexend', 'Comic Sans MS', Verdana, sans-serif",
+                '--line-height-base': '1.9',
+                '--letter-spacing-base': '0.04em',
+                '--word-spacing-base': '0.12em'
+            },
+            codeStyle: 'github.min.css'
+        }
+    };
+
+    /**
+     * @param {object} [extraThemes] - Additional theme definitions, e.g. from #theme-config.
+     */
+    constructor(extraThemes = {}) {
+        this.themes = { ...ThemeManager.THEMES, ...extraThemes };
         this.currentTheme = 'light';
+        this.followsSystem = true;
+        this.cacheStorageKey = 'theme-cache';
         this.init();
     }
 
     init() {
+        this.injectThemeStyles();
+        this.renderThemeOptions();
         this.loadTheme();
         this.setupEventListeners();
         this.updateThemeUI();
         this.listenForSystemThemeChanges();
+        this.listenForOtherPages();
+    }
+
+    /**
+     * @returns {string} - The CSS rule of a registry theme, empty when its variables live in styles.css.
+     */
+    getThemeCss(theme) {
+        const definition = this.themes[theme];
+        if (!definition || !definition.vars || Object.keys(definition.vars).length === 0) return '';
+        const declarations = Object.entries(definition.vars).map(([property, value]) => `${property}: ${value};`);
+        // Let Bootstrap's own components follow the theme colors
+        declarations.push(
+            `color-scheme: ${definition.colorScheme || 'light'};`,
+            '--bs-body-bg: var(--bg-primary);',
+            '--bs-body-color: var(--text-primary);',
+            '--bs-emphasis-color: var(--text-primary);',
+            '--bs-secondary-color: var(--text-secondary);',
+            '--bs-secondary-bg: var(--bg-secondary);',
+            '--bs-tertiary-bg: var(--bg-tertiary);',
+            '--bs-border-color: var(--border-color);'
+        );
+        if (definition.colorScheme === 'dark') {
+            // Same fallback filters as the dark themes of styles.css, for the images without variant
+            declarations.push(
+                '--image-invert-filter: invert(1) hue-rotate(180deg);',
+                '--image-dim-filter: brightness(0.85) contrast(1.1);'
+            );
+        }
+        // :root raises the specificity above the :root block of styles.css, which may load after this rule
+        return `:root[data-bs-theme="${theme}"] { ${declarations.join(' ')} }`;
+    }
+
+    injectThemeStyles() {
+        // The inline script of the <head> may already have created it with the cached current theme
+        let style = document.getElementById('theme-registry-styles');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'theme-registry-styles';
+            document.head.appendChild(style);
+        }
+        style.textContent = Object.keys(this.themes).map(theme => this.getThemeCss(theme)).filter(Boolean).join('\n');
+    }
+
+    /**
+     * Replaces the static entries of the theme menu with one .theme-option per registry theme.
+     */
+    renderThemeOptions() {
+        this.themeMenu = document.querySelector('.dropdown-menu[aria-labelledby="themeDropdown"]');
+        if (!this.themeMenu) return;
+
+        this.themeMenu.textContent = '';
+        this.themeMenu.setAttribute('role', 'menu');
+        const entries = [['auto', ThemeManager.AUTO_OPTION], ...Object.entries(this.themes)];
+        entries.forEach(([theme, definition]) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'none');
+            const option = document.createElement('button');
+            option.type = 'button';
+            option.className = 'dropdown-item theme-option';
+            option.dataset.theme = theme;
+            option.setAttribute('role', 'menuitemradio');
+            option.setAttribute('aria-checked', 'false');
+            option.innerHTML = `<i class="bi ${definition.icon} me-2"></i>`;
+            option.append(definition.label);
+            if (theme === 'auto') {
+                // Filled by updateThemeUI with the theme resolved from the system
+                option.insertAdjacentHTML('beforeend', '<small class="theme-option-resolved ms-1"></small>');
+            }
+            item.appendChild(option);
+            this.themeMenu.appendChild(item);
+        });
+        this.themeMenu.children[0]?.insertAdjacentHTML('afterend', '<li role="none"><hr class="dropdown-divider"></li>');
     }
 
     loadTheme() {
         const savedTheme = localStorage.getItem('preferred-theme');
-        if (savedTheme && this.themes[savedTheme]) {
-            this.currentTheme = savedTheme;
-        } else {
-            this.currentTheme = window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
-        }
+        this.followsSystem = !(savedTheme && this.themes[savedTheme]);
+        this.currentTheme = this.followsSystem ? this.getSystemTheme() : savedTheme;
         this.applyTheme(this.currentTheme);
     }
 
+    /**
+     * @returns {string} - The theme matching the system preferences: high-contrast under prefers-contrast: more.
+     */
+    getSystemTheme() {
+        if (mediaPreferences.moreContrast && this.themes['high-contrast']) return 'high-contrast';
+        return mediaPreferences.darkScheme ? 'dark' : 'light';
+    }
+
     setupEventListeners() {
-        document.querySelectorAll('.theme-option').forEach(option => {
-            option.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.switchTheme(e.currentTarget.dataset.theme);
+        // Delegated, as the options are generated from the registry
+        const container = this.themeMenu || document;
+        container.addEventListener('click', (e) => {
+            const option = e.target.closest('.theme-option');
+            if (!option) return;
+            e.preventDefault();
+            this.switchTheme(option.dataset.theme);
+        });
+
+        if (this.themeMenu) {
+            this.themeMenu.addEventListener('keydown', (e) => this.handleMenuKeydown(e));
+        }
+
+        const themeButton = document.getElementById('themeDropdown');
+        if (themeButton) {
+            themeButton.setAttribute('aria-keyshortcuts', ThemeManager.CYCLE_SHORTCUT);
+            // Opening the menu puts the focus on the checked theme, as expected from a radio group
+            themeButton.addEventListener('shown.bs.dropdown', () => {
+                this.themeMenu?.querySelector('.theme-option[aria-checked="true"]')?.focus();
             });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey || e.code !== 'KeyT') return;
+            if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+            e.preventDefault();
+            this.cycleTheme();
         });
     }
 
-    switchTheme(theme) {
-        if (!this.themes[theme]) return;
-        this.currentTheme = theme;
-        this.applyTheme(theme);
-        localStorage.setItem('preferred-theme', theme);
+    /**
+     * Arrow keys (wrapping around), Home and End move the focus between the options.
+     * Handled here rather than by Bootstrap's dropdown, which does not wrap nor support Home and End.
+     */
+    handleMenuKeydown(e) {
+        const keys = ['ArrowDown', 'ArrowUp', 'Home', 'End'];
+        if (!keys.includes(e.key)) return;
+        const options = [...this.themeMenu.querySelectorAll('.theme-option')];
+        if (options.length === 0) return;
+
+        e.preventDefault();
+        e.stopPropagation(); // Keep Bootstrap's document-level handler from moving the focus a second time
+
+        const index = options.indexOf(document.activeElement);
+        let nextIndex;
+        switch (e.key) {
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = options.length - 1;
+                break;
+            case 'ArrowUp':
+                nextIndex = index <= 0 ? options.length - 1 : index - 1;
+                break;
+            case 'ArrowDown':
+            default:
+                nextIndex = index === -1 || index === options.length - 1 ? 0 : index + 1;
+                break;
+        }
+        options[nextIndex].focus();
+    }
+
+    /**
+     * Moves to the next option of the menu, 'auto' included, so the keyboard can go back to the system theme.
+     */
+    cycleTheme() {
+        const themes = ['auto', ...Object.keys(this.themes)];
+        const current = this.followsSystem ? 'auto' : this.currentTheme;
+        const nextTheme = themes[(themes.indexOf(current) + 1) % themes.length];
+        // The focus stays where the user is: only the menu selection moves it back to #themeDropdown
+        this.switchTheme(nextTheme, { refocus: false });
+    }
+
+    /**
+     * @param {string} theme - Key of the registry, or 'auto' to follow the system preferences.
+     * @param {object} [options]
+     * @param {boolean} [options.refocus=true] - Moves the focus back to #themeDropdown.
+     */
+    switchTheme(theme, { refocus = true } = {}) {
+        if (theme !== 'auto' && !this.themes[theme]) return;
+        this.followsSystem = theme === 'auto';
+        this.currentTheme = this.followsSystem ? this.getSystemTheme() : theme;
+        this.applyTheme(this.currentTheme);
+        if (this.followsSystem) {
+            localStorage.removeItem('preferred-theme');
+        } else {
+            localStorage.setItem('preferred-theme', theme);
+        }
+        preferencesSync.publish('preferred-theme');
         this.updateThemeUI();
+        this.announceTheme(this.currentTheme);
 
         // Re-focus the dropdown button to prevent page jump
         const themeButton = document.getElementById('themeDropdown');
-        if (themeButton) {
+        if (themeButton && refocus) {
             themeButton.focus();
         }
     }
 
+    /**
+     * Announces the theme in a polite live region, created on first use.
+     */
+    announceTheme(theme) {
+        if (!this.announcer) {
+            this.announcer = document.createElement('div');
+            this.announcer.className = 'visually-hidden';
+            this.announcer.setAttribute('role', 'status');
+            this.announcer.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.announcer);
+        }
+        const definition = this.themes[theme];
+        const message = this.followsSystem
+            ? `Thème ${ThemeManager.AUTO_OPTION.spokenLabel} activé : ${definition.spokenLabel || definition.label}`
+            : `Thème ${definition.spokenLabel || definition.label} activé`;
+        // Cleared first, so that announcing the same theme twice is still spoken
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 100);
+    }
+
     applyTheme(theme) {
         document.documentElement.setAttribute('data-bs-theme', theme);
         this.updateCodeTheme(theme);
-        this.updateHeroSvg(theme);
+        this.updateThemedImages(theme);
+        this.cacheTheme(theme);
     }
 
-    updateHeroSvg(theme) {
-        const heroSvg = document.querySelector('.hero-section .hero-svg-icon');
-        if (!heroSvg) return;
-
-        let svgPath = '';
-        switch (theme) {
-            case 'dark':
-                svgPath = '/img/undraw_road_to_knowledge_dark.svg'; // Placeholder for dark theme SVG
-                break;
-            case 'high-contrast':
-                svgPath = '/img/undraw_road_to_knowledge_high_contrast.svg'; // Placeholder for high-contrast theme SVG
-                break;
-            case 'light':
-            default:
-                svgPath = '/img/undraw_road_to_knowledge_light.svg'; // Default light theme SVG
-                break;
+    /**
+     * Stores what the inline script of the <head> needs to render the theme before first paint.
+     */
+    cacheTheme(theme) {
+        try {
+            localStorage.setItem(this.cacheStorageKey, JSON.stringify({
+                theme,
+                codeStyle: this.themes[theme].codeStyle,
+                css: this.getThemeCss(theme)
+            }));
+        } catch (e) {
+            console.warn('ThemeManager: Could not cache the theme', e);
         }
-        heroSvg.src = svgPath;
     }
 
-    updateCodeTheme(theme) {
-        const highlightThemeLink = document.getElementById('highlight-js-theme');
-        if (!highlightThemeLink) return;
+    /**
+     * Swaps the images declaring theme variants. The variant of the theme wins, then the one of its color scheme,
+     * then the original image.
+     */
+    updateThemedImages(theme) {
+        const colorScheme = this.themes[theme]?.colorScheme === 'dark' ? 'dark' : 'light';
+
+        document.querySelectorAll('img').forEach(img => {
+            const variants = img.getAttributeNames().filter(name => name.startsWith('data-src-') && name !== 'data-src-default');
+            if (variants.length === 0) return;
+            img.classList.add('has-theme-variant');
+            if (!img.hasAttribute('data-src-default')) {
+                img.setAttribute('data-src-default', img.getAttribute('src') || '');
+            }
+            const src = img.getAttribute(`data-src-${theme}`)
+                || img.getAttribute(`data-src-${colorScheme}`)
+                || img.getAttribute('data-src-default');
+            if (src && img.getAttribute('src') !== src) {
+                img.setAttribute('src', src);
+            }
+        });
+
+        document.querySelectorAll('picture source').forEach(source => {
+            if (!source.hasAttribute('data-theme')) {
+                // Sources written for the system color scheme follow the site theme instead
+                const schemeMatch = (source.getAttribute('media') || '').match(/prefers-color-scheme:\s*(dark|light)/);
+                if (!schemeMatch) return;
+                source.setAttribute('data-theme', schemeMatch[1]);
+                source.setAttribute('data-media', '');
+            }
+            if (!source.hasAttribute('data-media')) {
+                source.setAttribute('data-media', source.getAttribute('media') || '');
+            }
+            source.parentElement.querySelector('img')?.classList.add('has-theme-variant');
 
-        const lightTheme = 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.11.1/styles/github.min.css';
-        const darkTheme = 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.11.1/styles/github-dark.min.css';
+            const themes = source.getAttribute('data-theme').split(/\s+/);
+            const matches = themes.includes(theme) || (themes.includes(colorScheme) && !this.hasPictureSourceFor(source.parentElement, theme));
+            // 'not all' disables the source, the browser then picks the next matching one (or the <img>)
+            source.setAttribute('media', matches ? (source.getAttribute('data-media') || 'all') : 'not all');
+        });
+    }
+
+    hasPictureSourceFor(picture, theme) {
+        return [...picture.querySelectorAll('source[data-theme]')]
+            .some(source => source.getAttribute('data-theme').split(/\s+/).includes(theme));
+    }
 
-        highlightThemeLink.href = (theme === 'dark' || theme === 'high-contrast') ? darkTheme : lightTheme;
+    updateCodeTheme(theme) {
+        const highlightThemeLink = document.getElementById('highlight-js-theme');
+        const codeStyle = this.themes[theme]?.codeStyle;
+        if (!highlightThemeLink || !codeStyle) return;
+
+        // The link already points into css/highlight/ with the right relative path: only swap the file name
+        const currentHref = highlightThemeLink.getAttribute('href');
+        const href = currentHref.replace(/[^/]*$/, codeStyle);
+        if (href !== currentHref) {
+            highlightThemeLink.setAttribute('href', href);
+        }
     }
 
     updateThemeUI() {
         const currentThemeData = this.themes[this.currentTheme];
         const themeButton = document.getElementById('themeDropdown');
+        // In auto mode, the button shows the theme resolved from the system
+        const label = this.followsSystem
+            ? `${ThemeManager.AUTO_OPTION.label} : ${currentThemeData?.label}`
+            : currentThemeData?.label;
         if (themeButton && currentThemeData) {
-            themeButton.setAttribute('aria-label', `Thème actuel : ${currentThemeData.label}`);
+            themeButton.setAttribute('aria-label', `Thème actuel : ${label}`);
+            themeButton.classList.toggle('is-auto', this.followsSystem);
             const iconElement = themeButton.querySelector('i');
             if (iconElement) {
                 iconElement.className = `bi ${currentThemeData.icon} me-1`;
@@ -110,27 +581,246 @@ class ThemeManager {
             // The text content of #current-theme is now visually hidden but still updated for screen readers
             const currentThemeSpan = themeButton.querySelector('#current-theme');
             if (currentThemeSpan) {
-                currentThemeSpan.textContent = currentThemeData.label;
+                currentThemeSpan.textContent = label;
             }
         }
+        const selectedOption = this.followsSystem ? 'auto' : this.currentTheme;
         document.querySelectorAll('.theme-option').forEach(option => {
-            option.classList.toggle('active', option.dataset.theme === this.currentTheme);
+            const isCurrent = option.dataset.theme === selectedOption;
+            option.classList.toggle('active', isCurrent);
+            option.setAttribute('aria-checked', String(isCurrent));
+        });
+        const systemThemeData = this.themes[this.getSystemTheme()];
+        document.querySelectorAll('.theme-option-resolved').forEach(resolved => {
+            resolved.textContent = systemThemeData ? `(${systemThemeData.label})` : '';
+        });
+    }
+
+    /**
+     * Applies the theme saved by another page, without saving it again nor moving the focus.
+     */
+    listenForOtherPages() {
+        preferencesSync.subscribe('preferred-theme', (savedTheme) => {
+            this.followsSystem = !(savedTheme && this.themes[savedTheme]);
+            const theme = this.followsSystem ? this.getSystemTheme() : savedTheme;
+            if (theme !== this.currentTheme) {
+                this.currentTheme = theme;
+                this.applyTheme(theme);
+            }
+            this.updateThemeUI();
         });
     }
 
     listenForSystemThemeChanges() {
-        window.matchMedia?.('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            if (!localStorage.getItem('preferred-theme')) {
-                this.switchTheme(e.matches ? 'dark' : 'light');
+        mediaPreferences.subscribe((name) => {
+            if (name === 'reducedMotion') return;
+            if (!this.followsSystem) {
+                this.updateThemeUI(); // Keeps the theme resolved by "Auto (système)" up to date in the menu
+                return;
+            }
+            // Follow the system without saving, so that later changes are followed too
+            const systemTheme = this.getSystemTheme();
+            if (systemTheme === this.currentTheme) return;
+            this.currentTheme = systemTheme;
+            this.applyTheme(this.currentTheme);
+            this.updateThemeUI();
+            this.announceTheme(this.currentTheme);
+        });
+    }
+}
+
+/**
+ * Manages the reading preferences panel, a dropdown placed next to #themeDropdown.
+ * - Adjusts the base font size, the content max-width, the line height and the font family (including OpenDyslexic).
+ * - Stores the preferences in localStorage ('reading-preferences', alongside 'preferred-theme') and applies them
+ *   as CSS custom properties of <html>. The inline script of the <head> applies the same properties before first paint.
+ * - An unset preference keeps the value of the current theme, e.g. the typography of the dyslexia-friendly theme.
+ * - Follows the preferences changed in the other open pages of the site (PreferencesSync).
+ */
+class ReadingPreferencesManager {
+    static STORAGE_KEY = 'reading-preferences';
+
+    /**
+     * Settings of the panel: the CSS custom property each one drives, and its values (CSS value → label).
+     * The inline script of the <head> holds the same setting → property mapping.
+     */
+    static SETTINGS = {
+        fontSize: {
+            label: 'Taille du texte',
+            property: '--reading-font-size',
+            options: { '87.5%': 'Petite', '112.5%': 'Grande', '125%': 'Très grande', '150%': 'Maximale' }
+        },
+        maxWidth: {
+            label: 'Largeur des lignes',
+            property: '--reading-max-width',
+            options: { '60ch': 'Étroite', '75ch': 'Moyenne', '90ch': 'Large' }
+        },
+        lineHeight: {
+            label: 'Interligne',
+            property: '--line-height-base',
+            options: { '1.4': 'Serré', '1.6': 'Normal', '1.9': 'Aéré', '2.2': 'Très aéré' }
+        },
+        fontFamily: {
+            label: 'Police',
+            property: '--font-family-base',
+            options: {
+                "'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif": 'Sans empattement',
+                "Georgia, Cambria, 'Times New Roman', serif": 'Avec empattement',
+                "'OpenDyslexic', 'Comic Sans MS', Verdana, sans-serif": 'OpenDyslexic'
+            }
+        }
+    };
+
+    /**
+     * @param {HTMLElement} themeSwitcher - The .theme-switcher-container of the navbar, the panel is inserted after it.
+     */
+    constructor(themeSwitcher) {
+        this.themeSwitcher = themeSwitcher;
+        this.preferences = this.loadPreferences();
+        this.init();
+    }
+
+    init() {
+        this.applyPreferences();
+        this.render();
+        this.setupEventListeners();
+
+        preferencesSync.subscribe(ReadingPreferencesManager.STORAGE_KEY, () => {
+            this.preferences = this.loadPreferences();
+            this.applyPreferences();
+            this.updateForm();
+        });
+    }
+
+    /**
+     * @returns {object} - The stored preferences, without unknown settings or values.
+     */
+    loadPreferences() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(ReadingPreferencesManager.STORAGE_KEY)) || {};
+        } catch (e) {
+            console.warn('ReadingPreferencesManager: Could not read the stored preferences', e);
+        }
+        const preferences = {};
+        Object.entries(ReadingPreferencesManager.SETTINGS).forEach(([key, setting]) => {
+            if (Object.hasOwn(setting.options, stored[key])) {
+                preferences[key] = stored[key];
+            }
+        });
+        return preferences;
+    }
+
+    savePreferences() {
+        try {
+            if (Object.keys(this.preferences).length === 0) {
+                localStorage.removeItem(ReadingPreferencesManager.STORAGE_KEY);
+            } else {
+                localStorage.setItem(ReadingPreferencesManager.STORAGE_KEY, JSON.stringify(this.preferences));
+            }
+        } catch (e) {
+            console.warn('ReadingPreferencesManager: Could not save the preferences', e);
+        }
+        preferencesSync.publish(ReadingPreferencesManager.STORAGE_KEY);
+    }
+
+    applyPreferences() {
+        const rootStyle = document.documentElement.style;
+        Object.entries(ReadingPreferencesManager.SETTINGS).forEach(([key, setting]) => {
+            if (this.preferences[key]) {
+                rootStyle.setProperty(setting.property, this.preferences[key]);
+            } else {
+                rootStyle.removeProperty(setting.property);
             }
         });
     }
+
+    render() {
+        this.container = document.createElement('div');
+        // Shares the look of the theme switcher button
+        this.container.className = 'nav-item dropdown theme-switcher-container reading-preferences-container ms-lg-2';
+
+        const fields = Object.entries(ReadingPreferencesManager.SETTINGS).map(([key, setting]) => {
+            const options = Object.entries(setting.options)
+                .map(([value, label]) => `<option value="${value.replace(/"/g, '&quot;')}">${label}</option>`)
+                .join('');
+            return `
+                <div class="mb-3">
+                    <label class="form-label small fw-semibold" for="reading-pref-${key}">${setting.label}</label>
+                    <select class="form-select form-select-sm" id="reading-pref-${key}" data-preference="${key}">
+                        <option value="">Par défaut</option>
+                        ${options}
+                    </select>
+                </div>
+            `;
+        }).join('');
+
+        this.container.innerHTML = `
+            <button class="btn btn-outline-secondary dropdown-toggle theme-dropdown-btn"
+                    type="button"
+                    id="readingPreferencesDropdown"
+                    data-bs-toggle="dropdown"
+                    data-bs-auto-close="outside"
+                    aria-expanded="false"
+                    aria-label="Préférences de lecture">
+                <i class="bi bi-type"></i>
+            </button>
+            <div class="dropdown-menu dropdown-menu-end reading-preferences-menu p-3" aria-labelledby="readingPreferencesDropdown">
+                <form class="reading-preferences-form">
+                    ${fields}
+                    <button type="reset" class="btn btn-sm btn-outline-primary w-100">
+                        <i class="bi bi-arrow-counterclockwise me-1"></i>Réinitialiser
+                    </button>
+                </form>
+            </div>
+        `;
+        this.form = this.container.querySelector('form');
+        this.themeSwitcher.after(this.container);
+        this.updateForm();
+    }
+
+    updateForm() {
+        this.form.querySelectorAll('select[data-preference]').forEach(select => {
+            select.value = this.preferences[select.dataset.preference] || '';
+        });
+    }
+
+    setupEventListeners() {
+        this.form.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-preference]');
+            if (!select) return;
+            this.setPreference(select.dataset.preference, select.value);
+        });
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('reset', (e) => {
+            e.preventDefault();
+            this.reset();
+        });
+    }
+
+    setPreference(key, value) {
+        if (value) {
+            this.preferences[key] = value;
+        } else {
+            delete this.preferences[key];
+        }
+        this.applyPreferences();
+        this.savePreferences();
+    }
+
+    reset() {
+        this.preferences = {};
+        this.applyPreferences();
+        this.savePreferences();
+        this.updateForm();
+    }
 }
 
 /**
  * Manages the "Scroll to Top" button.
  * - Shows the button when the user scrolls down.
  * - Adjusts its position to avoid overlapping with the footer.
+ * - Scrolls back smoothly, or instantly under prefers-reduced-motion.
  */
 class ScrollToTopButton {
     constructor(button) {
@@ -141,7 +831,7 @@ class ScrollToTopButton {
 
     init() {
         window.addEventListener('scroll', () => this.handleScroll(), { passive: true });
-        this.button.addEventListener('click', () => window.scrollTo({ top: 0, behavior: 'smooth' }));
+        this.button.addEventListener('click', () => window.scrollTo({ top: 0, behavior: mediaPreferences.scrollBehavior() }));
     }
 
     handleScroll() {
@@ -191,48 +881,132 @@ class MobileMenuManager {
 
 /**
  * Handles smooth scrolling to anchor links with an offset for fixed headers.
- * - Intercepts clicks on internal anchor links.
+ * - Intercepts clicks on internal anchor links through event delegation, so anchors inserted later are covered.
  * - Calculates scroll position considering the fixed navbar height.
- * - Performs a smooth scroll to the target.
+ * - Performs a smooth scroll to the target, once the mobile menu or an off-canvas panel has closed.
+ *   Under prefers-reduced-motion, the scroll is an instant jump (see MediaPreferences).
+ * - Applies the same offset to the hash of the URL: on page load, on hashchange and on back/forward (popstate).
+ *   Back/forward between hashes fires both events: only the first one scrolls.
  */
 class SmoothScrollWithOffset {
     constructor(navbarSelector = '.navbar') {
         this.navbar = document.querySelector(navbarSelector);
+        this.userHasScrolled = false;
+        this.historyHash = null;
         this.init();
     }
 
     init() {
-        document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-            anchor.addEventListener('click', this.handleAnchorClick.bind(this));
+        document.addEventListener('click', (event) => {
+            const anchor = event.target.closest('a[href^="#"]');
+            if (anchor) this.handleAnchorClick(event, anchor);
         });
+
+        window.addEventListener('hashchange', () => this.handleHistoryNavigation());
+        window.addEventListener('popstate', () => this.handleHistoryNavigation());
+
+        this.restoreInitialHash();
+    }
+
+    /**
+     * The browser jumps to the hash before the navbar offset is known: correct it once the other managers
+     * have changed the layout, and again when images are loaded, unless the user has started scrolling.
+     */
+    restoreInitialHash() {
+        if (!window.location.hash) return;
+
+        const markScrolled = () => { this.userHasScrolled = true; };
+        ['wheel', 'touchstart', 'keydown'].forEach(type => window.addEventListener(type, markScrolled, { once: true, passive: true }));
+
+        const restore = () => {
+            if (!this.userHasScrolled) this.scrollToHash(window.location.hash, 'instant');
+        };
+        window.requestAnimationFrame(restore);
+        if (document.readyState !== 'complete') {
+            window.addEventListener('load', restore, { once: true });
+        }
+    }
+
+    handleHistoryNavigation() {
+        const hash = window.location.hash;
+        if (hash === this.historyHash) return;
+        this.historyHash = hash;
+        this.scrollToHash(hash);
     }
 
-    handleAnchorClick(event) {
-        const href = event.currentTarget.getAttribute('href');
+    handleAnchorClick(event, anchor) {
+        // Leave Bootstrap toggles (dropdowns, modals, collapses...) and modified clicks alone
+        if (event.defaultPrevented || anchor.hasAttribute('data-bs-toggle') || event.ctrlKey || event.metaKey || event.shiftKey) {
+            return;
+        }
+
+        const href = anchor.getAttribute('href');
         if (href === '#' || href === '#home') { // Handle #home or empty hash specifically
             event.preventDefault();
-            window.scrollTo({ top: 0, behavior: 'smooth' });
+            window.scrollTo({ top: 0, behavior: mediaPreferences.scrollBehavior() });
             return;
         }
 
-        const targetId = href.substring(1);
-        const targetElement = document.getElementById(targetId);
+        const targetElement = this.findTarget(href);
 
         if (targetElement) {
             event.preventDefault();
-            const navbarCollapse = this.navbar.querySelector('.navbar-collapse');
+            // Coming back to the current hash later must scroll again
+            this.historyHash = null;
+            if (this.findTarget(window.location.hash) !== targetElement) {
+                // Keep the section in the URL and in the history, without the browser's own jump
+                history.pushState(null, '', href);
+            }
+
+            const navbarCollapse = this.navbar?.querySelector('.navbar-collapse');
             const isMobileMenuOpen = navbarCollapse && navbarCollapse.classList.contains('show');
+            const openOffcanvas = anchor.closest('.offcanvas.show, .offcanvas.showing');
 
             if (isMobileMenuOpen) {
                 // Wait for the collapse animation to finish before scrolling
                 navbarCollapse.addEventListener('hidden.bs.collapse', () => {
-                    targetElement.scrollIntoView({ behavior: 'smooth' });
+                    this.scrollToElement(targetElement);
                 }, { once: true });
+            } else if (openOffcanvas) {
+                // Same for an off-canvas panel (e.g. the mobile table of contents)
+                openOffcanvas.addEventListener('hidden.bs.offcanvas', () => {
+                    this.scrollToElement(targetElement);
+                }, { once: true });
+                bootstrap.Offcanvas.getOrCreateInstance(openOffcanvas).hide();
             } else {
-                targetElement.scrollIntoView({ behavior: 'smooth' });
+                this.scrollToElement(targetElement);
             }
         }
     }
+
+    /**
+     * @param {string} hash - A "#id" hash, possibly percent-encoded (e.g. "#_analyse_des_%C3%A9tapes").
+     * @returns {?HTMLElement}
+     */
+    findTarget(hash) {
+        const id = hash.replace(/^#/, '');
+        if (!id) return null;
+        try {
+            return document.getElementById(decodeURIComponent(id)) || document.getElementById(id);
+        } catch (e) {
+            // Malformed percent-encoding
+            return document.getElementById(id);
+        }
+    }
+
+    scrollToHash(hash, behavior = 'smooth') {
+        const targetElement = this.findTarget(hash);
+        if (targetElement) this.scrollToElement(targetElement, behavior);
+    }
+
+    /**
+     * Scrolls so that the element sits right below the fixed navbar.
+     */
+    scrollToElement(element, behavior = 'smooth') {
+        const navbarHeight = this.navbar ? this.navbar.offsetHeight : 0;
+        const top = element.getBoundingClientRect().top + window.scrollY - navbarHeight;
+        window.scrollTo({ top, behavior: mediaPreferences.scrollBehavior(behavior) });
+    }
 }
 
 /**
@@ -277,6 +1051,7 @@ class DynamicNavbarBreakpoint {
         this.brand = navbar.querySelector('.navbar-brand');
         this.navbarNav = navbar.querySelector('.navbar-nav');
         this.themeSelector = navbar.querySelector('#themeDropdown');
+        this.readingPreferences = navbar.querySelector('#readingPreferencesDropdown');
         this.init();
     }
 
@@ -302,7 +1077,7 @@ class DynamicNavbarBreakpoint {
 
         const brandWidth = this.brand.offsetWidth;
         const navbarNavWidth = this.navbarNav.offsetWidth;
-        const themeSelectorWidth = this.themeSelector.offsetWidth;
+        const themeSelectorWidth = this.themeSelector.offsetWidth + (this.readingPreferences?.offsetWidth || 0);
         
         // Calculate the gap between flex items. We assume the gap is consistent.
         const navbarCollapse = this.navbar.querySelector('.navbar-collapse');
@@ -335,221 +1110,2375 @@ class DynamicNavbarBreakpoint {
 }
 
 /**
- * Adds a "Copy" button to all code blocks for easy copying.
- * - Finds all <pre><code> blocks.
- * - Injects a button into each.
- * - Handles the click event to copy the code content to the clipboard.
- * - Provides user feedback on successful copy.
+ * Adds a toolbar to all code blocks.
+ * - Finds all <pre><code> blocks and wraps them in a .code-block with a .code-toolbar.
+ * - Highlights each block with highlight.js first: the pages load it without calling highlightAll(),
+ *   whose deferred run would rebuild the blocks after us and drop the .code-line spans.
+ *   The Asciidoctor callouts are set aside meanwhile, as highlight.js would turn them into plain "(1)" text.
+ * - Shows a language badge from the Asciidoctor `data-lang` attribute (or the `language-*` class).
+ * - Splits the highlighted code into .code-line spans, used for the toggleable line numbers.
+ * - Toggles soft wrapping, and collapses long listings with an "expand" button.
+ * - Downloads the code as a file, with an extension mapped from the language.
+ * - Copies the code content to the clipboard, with user feedback on success.
+ * - Smart copy: strips shell prompts (`$ `, `user@host:~$ `, `PS C:\> `) and Asciidoctor callouts
+ *   (`<1>`, `.conum`), and offers a "commands only" copy on shell sessions mixing commands and output.
+ *   A `data-copy="raw"` attribute on the block (or any ancestor) keeps the verbatim copy.
+ * - Highlights the lines listed in `data-highlight="3-5,9"` (on the code, the pre or the listing block)
+ *   and styles the added/removed lines of `diff` blocks.
  */
 class CodeBlockManager {
-    constructor() {
-        this.init();
+    static COLLAPSE_THRESHOLD = 30;
+
+    static SHELL_LANGUAGES = ['bash', 'shell', 'sh', 'zsh', 'console', 'shell-session', 'powershell', 'text', ''];
+
+    /** `# ` is left out on purpose: in our snippets it starts a comment far more often than a root prompt. */
+    static PROMPT_PATTERN = /^\s*(?:\$|[\w.-]+@[\w.-]+(?::[^$#\s]*)?\s?[$#]|PS(?: [^>]*)?>|[A-Z]:\\[^>]*>)\s/;
+
+    static CALLOUT_PATTERN = /\s*(?:(?:\/\/|#|--|;)\s*)?(?:(?:<\d+>|<!--\d+-->)\s*)+$/;
+
+    static EXTENSIONS = {
+        bash: 'sh', shell: 'sh', sh: 'sh', zsh: 'zsh', console: 'sh', powershell: 'ps1',
+        kotlin: 'kt', java: 'java', groovy: 'groovy', gradle: 'gradle', scala: 'scala',
+        javascript: 'js', js: 'js', typescript: 'ts', ts: 'ts', json: 'json',
+        html: 'html', xml: 'xml', css: 'css', scss: 'scss',
+        python: 'py', go: 'go', rust: 'rs', c: 'c', cpp: 'cpp', csharp: 'cs', php: 'php', ruby: 'rb',
+        yaml: 'yml', yml: 'yml', toml: 'toml', ini: 'ini', conf: 'conf', properties: 'properties', nginx: 'conf',
+        sql: 'sql', asciidoc: 'adoc', markdown: 'md', diff: 'diff', text: 'txt', plaintext: 'txt'
+    };
+
+    /** Languages whose files are conventionally named without extension. */
+    static FILE_NAMES = {
+        dockerfile: 'Dockerfile',
+        makefile: 'Makefile'
+    };
+
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('pre code').forEach((codeBlock, index) => {
+            const preElement = codeBlock.parentElement;
+            if (preElement) {
+                this.enhance(preElement, codeBlock, index);
+            }
+        });
+    }
+
+    enhance(preElement, codeBlock, index) {
+        const language = this.getLanguage(codeBlock);
+        const callouts = this.detachCallouts(codeBlock);
+        this.highlight(codeBlock);
+        const lineCount = this.splitIntoLines(codeBlock);
+        this.restoreCallouts(codeBlock, callouts);
+        this.decorateLines(preElement, codeBlock, language);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'code-block';
+        preElement.parentNode.insertBefore(wrapper, preElement);
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'code-toolbar';
+        if (language) {
+            const badge = document.createElement('span');
+            badge.className = 'code-lang-badge';
+            badge.textContent = language;
+            toolbar.appendChild(badge);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'code-toolbar-actions';
+        actions.append(
+            this.createToggleButton('bi-list-ol', 'Afficher les numéros de ligne', pressed => preElement.classList.toggle('show-line-numbers', pressed)),
+            this.createToggleButton('bi-text-wrap', 'Retour à la ligne automatique', pressed => preElement.classList.toggle('soft-wrap', pressed))
+        );
+        if (lineCount > CodeBlockManager.COLLAPSE_THRESHOLD) {
+            wrapper.classList.add('is-collapsible', 'is-collapsed');
+            actions.appendChild(this.createExpandButton(wrapper));
+        }
+        const downloadButton = this.createDownloadButton();
+        actions.appendChild(downloadButton);
+        this.setupDownloadEventListener(downloadButton, codeBlock, language, index);
+        if (this.hasCommandsAndOutput(codeBlock, language)) {
+            const commandsButton = this.createCopyButton('bi-terminal', 'Commandes', 'Copier uniquement les commandes');
+            actions.appendChild(commandsButton);
+            this.setupCopyEventListener(commandsButton, codeBlock, language, 'commands');
+        }
+        const copyButton = this.createCopyButton();
+        actions.appendChild(copyButton);
+        this.setupCopyEventListener(copyButton, codeBlock, language);
+
+        toolbar.appendChild(actions);
+        wrapper.append(toolbar, preElement);
+    }
+
+    highlight(codeBlock) {
+        if (!window.hljs || codeBlock.dataset.highlighted) return;
+        try {
+            hljs.highlightElement(codeBlock);
+        } catch (e) {
+            console.warn('CodeBlockManager: Could not highlight a code block', e);
+        }
+    }
+
+    /**
+     * Removes the callout markup (a .conum element and its "(1)" companion) from the block.
+     * @returns {Array<{line: number, node: Node}>} - The removed nodes, with the 0-based line they ended.
+     */
+    detachCallouts(codeBlock) {
+        const nodes = Array.from(codeBlock.querySelectorAll('.conum, b'))
+            .filter(node => node.classList.contains('conum') || /^\(\d+\)$/.test(node.textContent.trim()));
+        return nodes.map(node => {
+            const range = document.createRange();
+            range.setStart(codeBlock, 0);
+            range.setEndBefore(node);
+            const line = (range.toString().match(/\n/g) || []).length;
+            node.remove();
+            return { line, node };
+        });
+    }
+
+    /**
+     * Puts the callouts back at the end of their .code-line, once the block is highlighted and split.
+     */
+    restoreCallouts(codeBlock, callouts) {
+        const lines = codeBlock.querySelectorAll('.code-line');
+        callouts.forEach(({ line, node }) => {
+            const lineElement = lines[Math.min(line, lines.length - 1)];
+            if (!lineElement) return;
+            const newline = lineElement.lastChild?.nodeType === Node.TEXT_NODE && lineElement.lastChild.textContent === '\n'
+                ? lineElement.lastChild
+                : null;
+            lineElement.insertBefore(node, newline);
+        });
+    }
+
+    getLanguage(codeBlock) {
+        const language = codeBlock.dataset.lang || (codeBlock.className.match(/(?:^|\s)language-([\w+#-]+)/) || [])[1] || '';
+        return language.toLowerCase();
+    }
+
+    /**
+     * Rewrites the highlighted code as one `.code-line` span per line. highlight.js spans that cross
+     * line breaks are split, so every line keeps its own colors.
+     * @returns {number} - The number of lines.
+     */
+    splitIntoLines(codeBlock) {
+        const lines = [document.createDocumentFragment()];
+        const walk = (node, ancestors) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                node.textContent.split('\n').forEach((part, i) => {
+                    if (i > 0) lines.push(document.createDocumentFragment());
+                    if (!part) return;
+                    // Re-create the enclosing highlight spans around this piece of text
+                    const piece = ancestors.reduceRight((child, ancestor) => {
+                        const clone = ancestor.cloneNode(false);
+                        clone.appendChild(child);
+                        return clone;
+                    }, document.createTextNode(part));
+                    lines[lines.length - 1].appendChild(piece);
+                });
+            } else if (node.nodeType === Node.ELEMENT_NODE && !node.hasChildNodes()) {
+                // Empty elements such as Asciidoctor's <i class="conum" data-value="1"></i> are drawn by CSS
+                const piece = ancestors.reduceRight((child, ancestor) => {
+                    const clone = ancestor.cloneNode(false);
+                    clone.appendChild(child);
+                    return clone;
+                }, node.cloneNode(false));
+                lines[lines.length - 1].appendChild(piece);
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                node.childNodes.forEach(child => walk(child, [...ancestors, node]));
+            }
+        };
+        codeBlock.childNodes.forEach(child => walk(child, []));
+
+        // The trailing newline of a listing doesn't start a new line
+        if (lines.length > 1 && !lines[lines.length - 1].hasChildNodes()) {
+            lines.pop();
+        }
+
+        codeBlock.textContent = '';
+        lines.forEach((fragment, i) => {
+            const line = document.createElement('span');
+            line.className = 'code-line';
+            line.appendChild(fragment);
+            if (i < lines.length - 1) line.appendChild(document.createTextNode('\n'));
+            codeBlock.appendChild(line);
+        });
+        return lines.length;
+    }
+
+    isSmartCopyEnabled(codeBlock) {
+        return codeBlock.closest('[data-copy]')?.dataset.copy !== 'raw';
+    }
+
+    /**
+     * Returns the lines of the code without the callout markers (a .conum element and its
+     * hidden "(1)" companion, or a raw `<1>` left at the end of the line).
+     */
+    getCleanLines(codeBlock) {
+        const clone = codeBlock.cloneNode(true);
+        clone.querySelectorAll('.conum').forEach(callout => callout.remove());
+        clone.querySelectorAll('b').forEach(bold => {
+            if (/^\(\d+\)$/.test(bold.textContent.trim())) bold.remove();
+        });
+        const lines = clone.querySelectorAll('.code-line').length
+            ? Array.from(clone.querySelectorAll('.code-line'), line => line.textContent.replace(/\n$/, ''))
+            : clone.textContent.split('\n');
+        return lines.map(line => line.replace(CodeBlockManager.CALLOUT_PATTERN, '').replace(/\s+$/, ''));
+    }
+
+    isShellLanguage(language) {
+        return CodeBlockManager.SHELL_LANGUAGES.includes(language);
+    }
+
+    /**
+     * Whether the block is a shell session where "commands only" makes a difference.
+     */
+    hasCommandsAndOutput(codeBlock, language) {
+        if (!this.isSmartCopyEnabled(codeBlock) || !this.isShellLanguage(language)) return false;
+        const lines = this.getCleanLines(codeBlock).filter(line => line.trim() !== '');
+        const commandCount = lines.filter(line => CodeBlockManager.PROMPT_PATTERN.test(line)).length;
+        return commandCount > 0 && commandCount < lines.length;
+    }
+
+    /**
+     * @param {HTMLElement} codeBlock
+     * @param {string} language
+     * @param {'smart'|'commands'} [mode] - 'commands' keeps only the prompted lines (and their `\` continuations).
+     * @returns {string} - The text to copy or download.
+     */
+    getCodeText(codeBlock, language, mode = 'smart') {
+        if (!this.isSmartCopyEnabled(codeBlock)) {
+            return codeBlock.textContent;
+        }
+
+        let lines = this.getCleanLines(codeBlock);
+        if (this.isShellLanguage(language)) {
+            if (mode === 'commands') {
+                let continued = false;
+                lines = lines.filter(line => {
+                    const keep = continued || CodeBlockManager.PROMPT_PATTERN.test(line);
+                    continued = keep && line.endsWith('\\');
+                    return keep;
+                });
+            }
+            lines = lines.map(line => line.replace(CodeBlockManager.PROMPT_PATTERN, ''));
+        }
+        return lines.join('\n').replace(/\n+$/, '');
+    }
+
+    /**
+     * Parses a line selection such as "3-5,9" (1-based) into a Set of line numbers.
+     */
+    parseLineRanges(value) {
+        const lineNumbers = new Set();
+        value.split(',').forEach(part => {
+            const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+            if (!match) return;
+            const start = parseInt(match[1], 10);
+            const end = match[2] ? parseInt(match[2], 10) : start;
+            for (let line = Math.min(start, end); line <= Math.max(start, end); line++) {
+                lineNumbers.add(line);
+            }
+        });
+        return lineNumbers;
+    }
+
+    /**
+     * Adds the `data-highlight` and diff classes to the .code-line spans. Runs once highlight.js is done
+     * with the block (see highlight()), as it rebuilds the whole block and would drop them.
+     */
+    decorateLines(preElement, codeBlock, language) {
+        const lines = Array.from(codeBlock.querySelectorAll('.code-line'));
+
+        const highlight = codeBlock.dataset.highlight
+            ?? preElement.dataset.highlight
+            ?? preElement.closest('.listingblock')?.dataset.highlight;
+        if (highlight) {
+            const lineNumbers = this.parseLineRanges(highlight);
+            lines.forEach((line, i) => line.classList.toggle('is-highlighted', lineNumbers.has(i + 1)));
+        }
+
+        if (language === 'diff' || language === 'patch') {
+            preElement.classList.add('code-diff');
+            lines.forEach(line => {
+                const text = line.textContent;
+                if (/^(\+\+\+|---)( |$)/.test(text)) {
+                    line.classList.add('diff-file');
+                } else if (text.startsWith('@@')) {
+                    line.classList.add('diff-hunk');
+                } else if (text.startsWith('+')) {
+                    line.classList.add('diff-added');
+                } else if (text.startsWith('-')) {
+                    line.classList.add('diff-removed');
+                }
+            });
+        }
+    }
+
+    createToolbarButton(icon, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'code-toolbar-btn';
+        button.innerHTML = `<i class="bi ${icon}"></i>`;
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        return button;
+    }
+
+    createToggleButton(icon, label, onToggle) {
+        const button = this.createToolbarButton(icon, label);
+        button.setAttribute('aria-pressed', 'false');
+        button.addEventListener('click', () => {
+            const pressed = button.getAttribute('aria-pressed') !== 'true';
+            button.setAttribute('aria-pressed', String(pressed));
+            onToggle(pressed);
+        });
+        return button;
+    }
+
+    createExpandButton(wrapper) {
+        const button = this.createToolbarButton('bi-arrows-expand', 'Afficher tout le code');
+        button.setAttribute('aria-expanded', 'false');
+        button.addEventListener('click', () => {
+            const collapsed = wrapper.classList.toggle('is-collapsed');
+            const label = collapsed ? 'Afficher tout le code' : 'Réduire le code';
+            button.setAttribute('aria-expanded', String(!collapsed));
+            button.setAttribute('aria-label', label);
+            button.title = label;
+            button.innerHTML = `<i class="bi ${collapsed ? 'bi-arrows-expand' : 'bi-arrows-collapse'}"></i>`;
+            if (collapsed) {
+                wrapper.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        return button;
+    }
+
+    createDownloadButton() {
+        return this.createToolbarButton('bi-download', 'Télécharger le code');
+    }
+
+    /**
+     * @returns {string} - e.g. "0085_pypi_cicd_part_1_post-3.yml", or "Dockerfile".
+     */
+    getFileName(language, index) {
+        if (CodeBlockManager.FILE_NAMES[language]) {
+            return CodeBlockManager.FILE_NAMES[language];
+        }
+        const pageName = window.location.pathname.split('/').pop().replace(/\.html?$/, '') || 'index';
+        return `${pageName}-${index + 1}.${CodeBlockManager.EXTENSIONS[language] || 'txt'}`;
+    }
+
+    setupDownloadEventListener(button, codeBlock, language, index) {
+        button.addEventListener('click', () => {
+            const blob = new Blob([this.getCodeText(codeBlock, language)], { type: 'text/plain;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = this.getFileName(language, index);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        });
+    }
+
+    createCopyButton(icon = 'bi-clipboard', text = 'Copier', label = 'Copier le code') {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'copy-code-btn';
+        button.innerHTML = `<i class="bi ${icon}"></i> ${text}`;
+        button.setAttribute('aria-label', label);
+        return button;
+    }
+
+    setupCopyEventListener(button, codeBlock, language, mode = 'smart') {
+        const originalHtml = button.innerHTML;
+        button.addEventListener('click', () => {
+            const codeToCopy = this.getCodeText(codeBlock, language, mode);
+            navigator.clipboard.writeText(codeToCopy).then(() => {
+                button.innerHTML = '<i class="bi bi-check-lg"></i> Copié !';
+                button.classList.add('copied');
+                setTimeout(() => {
+                    button.innerHTML = originalHtml;
+                    button.classList.remove('copied');
+                }, 2000);
+            }).catch(err => {
+                console.error('Failed to copy code: ', err);
+                button.innerText = 'Erreur';
+            });
+        });
+    }
+}
+
+/**
+ * Adds a permalink button to the h2–h4 headings of a post.
+ * - Copies the canonical URL of the page plus the section id to the clipboard.
+ * - Gives the same "Copié !" feedback as CodeBlockManager.
+ * - Updates location.hash through the History API, so the page doesn't jump.
+ */
+class HeadingAnchorManager {
+    constructor(content) {
+        this.content = content;
+        this.init();
+    }
+
+    init() {
+        this.content.querySelectorAll('h2[id], h3[id], h4[id]').forEach(heading => {
+            const anchorButton = this.createAnchorButton(heading);
+            heading.appendChild(anchorButton);
+            this.setupCopyEventListener(anchorButton, heading);
+        });
+    }
+
+    createAnchorButton(heading) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'heading-anchor-btn';
+        button.innerHTML = '<i class="bi bi-link-45deg"></i>';
+        button.setAttribute('aria-label', `Copier le lien vers la section « ${heading.textContent.trim()} »`);
+        return button;
+    }
+
+    /**
+     * @returns {string} - The page URL without query string nor hash, or the <link rel="canonical"> one.
+     */
+    getCanonicalUrl() {
+        const canonical = document.querySelector('link[rel="canonical"]');
+        return canonical ? canonical.href.split('#')[0] : `${window.location.origin}${window.location.pathname}`;
+    }
+
+    setupCopyEventListener(button, heading) {
+        button.addEventListener('click', () => {
+            const hash = `#${encodeURIComponent(heading.id)}`;
+            if (window.location.hash !== hash) {
+                history.pushState(null, '', hash);
+            }
+
+            navigator.clipboard.writeText(`${this.getCanonicalUrl()}${hash}`).then(() => {
+                button.innerHTML = '<i class="bi bi-check-lg"></i> Copié !';
+                button.classList.add('copied');
+                setTimeout(() => {
+                    button.innerHTML = '<i class="bi bi-link-45deg"></i>';
+                    button.classList.remove('copied');
+                }, 2000);
+            }).catch(err => {
+                console.error('Failed to copy link: ', err);
+                button.innerText = 'Erreur';
+            });
+        });
+    }
+}
+
+/**
+ * Opens the images of a post in a full-screen viewer (Bootstrap modal), so that large diagrams become readable.
+ * - Every content image becomes a button (click, Enter or Space), except the linked ones.
+ * - Zooms with the wheel, the pinch gesture, double click (x2, as the reveal.js zoom-js plugin) or +, - and 0,
+ *   always around the pointer; pans by dragging once zoomed in.
+ * - Navigates between the images of the post with the arrow keys and the previous/next buttons.
+ * - Captions come from the Asciidoctor `.title` of the image block ("Figure 2. ..."), or the alt text.
+ * - Shows the image as displayed in the post: current theme variant and filter (see ThemeManager).
+ */
+class ImageLightboxManager {
+    static MIN_SCALE = 1;
+
+    static MAX_SCALE = 8;
+
+    static STEP = 1.5;
+
+    /**
+     * @param {HTMLElement} content - The .content of the post.
+     */
+    constructor(content) {
+        this.content = content;
+        this.images = [];
+        this.index = 0;
+        this.pointers = new Map();
+        this.resetTransform();
+        this.init();
+    }
+
+    init() {
+        if (!window.bootstrap?.Modal) {
+            console.warn('ImageLightboxManager: Bootstrap Modal is not loaded.');
+            return;
+        }
+        this.images = [...this.content.querySelectorAll('img')].filter(img => !img.closest('a[href]'));
+        if (this.images.length === 0) return;
+
+        this.images.forEach((img, index) => {
+            img.classList.add('lightbox-trigger');
+            img.setAttribute('tabindex', '0');
+            img.setAttribute('role', 'button');
+            img.setAttribute('aria-label', `Agrandir l'image : ${this.getCaption(img)}`);
+            img.addEventListener('click', () => this.open(index));
+            img.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.open(index);
+                }
+            });
+        });
+
+        this.createModal();
+        this.setupEventListeners();
+    }
+
+    getCaption(img) {
+        const title = img.closest('.imageblock')?.querySelector(':scope > .title');
+        return (title?.textContent || img.getAttribute('alt') || 'Image').trim();
+    }
+
+    createModal() {
+        this.modalElement = document.createElement('div');
+        this.modalElement.className = 'modal fade themed-modal image-viewer-modal';
+        this.modalElement.tabIndex = -1;
+        this.modalElement.setAttribute('aria-labelledby', 'image-viewer-caption');
+        this.modalElement.setAttribute('aria-hidden', 'true');
+        this.modalElement.innerHTML = `
+            <div class="modal-dialog modal-fullscreen">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h2 class="modal-title h6 text-truncate" id="image-viewer-caption"></h2>
+                        <span class="image-viewer-counter small ms-3" aria-live="polite"></span>
+                        <div class="image-viewer-actions ms-auto me-2" role="group" aria-label="Zoom">
+                            <button type="button" class="btn btn-sm btn-outline-secondary" data-zoom="out" aria-label="Dézoomer">
+                                <i class="bi bi-zoom-out"></i>
+                            </button>
+                            <button type="button" class="btn btn-sm btn-outline-secondary" data-zoom="reset" aria-label="Taille ajustée à l'écran">
+                                <i class="bi bi-arrows-angle-contract"></i>
+                            </button>
+                            <button type="button" class="btn btn-sm btn-outline-secondary" data-zoom="in" aria-label="Zoomer">
+                                <i class="bi bi-zoom-in"></i>
+                            </button>
+                        </div>
+                        <button type="button" class="btn-close" data-bs-dismiss="modal" aria-label="Fermer"></button>
+                    </div>
+                    <div class="modal-body image-viewer-stage">
+                        <img class="image-viewer-image" alt="" draggable="false">
+                        <button type="button" class="image-viewer-nav image-viewer-prev" aria-label="Image précédente">
+                            <i class="bi bi-chevron-left"></i>
+                        </button>
+                        <button type="button" class="image-viewer-nav image-viewer-next" aria-label="Image suivante">
+                            <i class="bi bi-chevron-right"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.modalElement);
+
+        this.stage = this.modalElement.querySelector('.image-viewer-stage');
+        this.viewerImage = this.modalElement.querySelector('.image-viewer-image');
+        this.caption = this.modalElement.querySelector('#image-viewer-caption');
+        this.counter = this.modalElement.querySelector('.image-viewer-counter');
+        this.prevButton = this.modalElement.querySelector('.image-viewer-prev');
+        this.nextButton = this.modalElement.querySelector('.image-viewer-next');
+        this.modal = bootstrap.Modal.getOrCreateInstance(this.modalElement);
+
+        const single = this.images.length === 1;
+        this.prevButton.hidden = single;
+        this.nextButton.hidden = single;
+    }
+
+    setupEventListeners() {
+        this.prevButton.addEventListener('click', () => this.show(this.index - 1));
+        this.nextButton.addEventListener('click', () => this.show(this.index + 1));
+        this.modalElement.querySelector('.image-viewer-actions').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-zoom]');
+            if (button) this.handleZoomAction(button.dataset.zoom);
+        });
+
+        this.modalElement.addEventListener('keydown', (e) => this.handleKeydown(e));
+        // Back to the image of the post, and to the fitted size for the next opening
+        this.modalElement.addEventListener('hidden.bs.modal', () => {
+            this.resetTransform();
+            this.images[this.index]?.focus();
+        });
+
+        this.stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.zoomAt(this.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+        }, { passive: false });
+        this.viewerImage.addEventListener('dblclick', (e) => {
+            const scale = this.scale > ImageLightboxManager.MIN_SCALE ? ImageLightboxManager.MIN_SCALE : 2;
+            this.zoomAt(scale, e.clientX, e.clientY);
+        });
+
+        this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.stage.addEventListener(type, (e) => this.handlePointerUp(e));
+        });
+    }
+
+    open(index) {
+        this.show(index);
+        this.modal.show();
+    }
+
+    show(index) {
+        this.index = (index + this.images.length) % this.images.length;
+        const img = this.images[this.index];
+        this.resetTransform();
+        this.viewerImage.src = img.currentSrc || img.src;
+        this.viewerImage.alt = img.getAttribute('alt') || '';
+        // Same theme filter as in the post (inverted diagram, dimmed photo)
+        this.viewerImage.style.filter = getComputedStyle(img).filter;
+        this.caption.textContent = this.getCaption(img);
+        this.counter.textContent = this.images.length > 1 ? `${this.index + 1} / ${this.images.length}` : '';
+    }
+
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowLeft':
+                if (this.images.length > 1) this.show(this.index - 1);
+                break;
+            case 'ArrowRight':
+                if (this.images.length > 1) this.show(this.index + 1);
+                break;
+            case '+':
+            case '=':
+                this.handleZoomAction('in');
+                break;
+            case '-':
+                this.handleZoomAction('out');
+                break;
+            case '0':
+                this.handleZoomAction('reset');
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    handleZoomAction(action) {
+        const rect = this.stage.getBoundingClientRect();
+        const centerX = rect.left + rect.width / 2;
+        const centerY = rect.top + rect.height / 2;
+        if (action === 'in') {
+            this.zoomAt(this.scale * ImageLightboxManager.STEP, centerX, centerY);
+        } else if (action === 'out') {
+            this.zoomAt(this.scale / ImageLightboxManager.STEP, centerX, centerY);
+        } else {
+            this.resetTransform();
+        }
+    }
+
+    /**
+     * Zooms so that the point under (clientX, clientY) stays in place.
+     */
+    zoomAt(scale, clientX, clientY) {
+        const newScale = Math.min(ImageLightboxManager.MAX_SCALE, Math.max(ImageLightboxManager.MIN_SCALE, scale));
+        if (newScale === ImageLightboxManager.MIN_SCALE) {
+            this.resetTransform();
+            return;
+        }
+        // The transform origin is the top-left corner of the untransformed image
+        const rect = this.viewerImage.getBoundingClientRect();
+        const originX = rect.left - this.x;
+        const originY = rect.top - this.y;
+        const pointX = clientX - originX;
+        const pointY = clientY - originY;
+        this.x = pointX - (pointX - this.x) * (newScale / this.scale);
+        this.y = pointY - (pointY - this.y) * (newScale / this.scale);
+        this.scale = newScale;
+        this.applyTransform();
+    }
+
+    handlePointerDown(e) {
+        if (e.target.closest('.image-viewer-nav')) return;
+        this.stage.setPointerCapture?.(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        this.pinchDistance = this.pointers.size === 2 ? this.getPinchDistance() : null;
+        // No transition while the image follows the fingers or the mouse
+        this.stage.classList.add('is-panning');
+    }
+
+    handlePointerMove(e) {
+        const previous = this.pointers.get(e.pointerId);
+        if (!previous) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.pointers.size === 2 && this.pinchDistance) {
+            const distance = this.getPinchDistance();
+            const [first, second] = [...this.pointers.values()];
+            this.zoomAt(this.scale * (distance / this.pinchDistance), (first.x + second.x) / 2, (first.y + second.y) / 2);
+            this.pinchDistance = distance;
+        } else if (this.pointers.size === 1 && this.scale > ImageLightboxManager.MIN_SCALE) {
+            this.x += e.clientX - previous.x;
+            this.y += e.clientY - previous.y;
+            this.applyTransform();
+        }
+    }
+
+    handlePointerUp(e) {
+        this.pointers.delete(e.pointerId);
+        this.pinchDistance = this.pointers.size === 2 ? this.getPinchDistance() : null;
+        this.stage.classList.toggle('is-panning', this.pointers.size > 0);
+    }
+
+    getPinchDistance() {
+        const [first, second] = [...this.pointers.values()];
+        return Math.hypot(first.x - second.x, first.y - second.y);
+    }
+
+    resetTransform() {
+        this.scale = ImageLightboxManager.MIN_SCALE;
+        this.x = 0;
+        this.y = 0;
+        if (this.viewerImage) this.applyTransform();
+    }
+
+    applyTransform() {
+        this.viewerImage.style.transform = `translate(${this.x}px, ${this.y}px) scale(${this.scale})`;
+        this.viewerImage.classList.toggle('is-zoomed', this.scale > ImageLightboxManager.MIN_SCALE);
+    }
+}
+
+/**
+ * Initializes all Bootstrap tooltips on the page.
+ * - Finds all elements with `data-bs-toggle="tooltip"`.
+ * - Creates a new Bootstrap Tooltip instance for each.
+ */
+class TooltipManager {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-toggle="tooltip"]'));
+        tooltipTriggerList.map(function (tooltipTriggerEl) {
+            return new bootstrap.Tooltip(tooltipTriggerEl);
+        });
+    }
+}
+
+/**
+ * Tracks how far the reader got in a blog post and lets them pick up where they left off.
+ * - Shows a progress bar right under the fixed navbar (positioned with --navbar-height).
+ * - Saves the scroll depth and the last heading reached per post URL in localStorage.
+ * - On the next visit, offers a "Reprendre la lecture" prompt jumping back to that heading.
+ */
+class ReadingProgressManager {
+    /**
+     * @param {HTMLElement} article - The post <article>.
+     * @param {?SmoothScrollWithOffset} [smoothScroll] - Used to jump to the heading below the navbar.
+     */
+    constructor(article, smoothScroll = null) {
+        this.article = article;
+        this.content = article.querySelector('.content') || article;
+        this.smoothScroll = smoothScroll;
+        this.navbar = document.querySelector('.navbar');
+        this.storageKey = 'reading-progress';
+        this.maxEntries = 50;
+        this.saveDelay = 1000;
+        this.saveTimer = null;
+        this.ticking = false;
+        this.progress = 0;
+        this.headingId = null;
+        this.init();
+    }
+
+    init() {
+        this.headings = Array.from(this.content.querySelectorAll('h2[id], h3[id]'));
+        this.createProgressBar();
+
+        const saved = this.loadEntry();
+        this.update();
+
+        window.addEventListener('scroll', () => this.requestUpdate(), { passive: true });
+        window.addEventListener('resize', () => this.requestUpdate(), { passive: true });
+        window.addEventListener('pagehide', () => this.save());
+
+        // Don't compete with an explicit #section in the URL
+        if (saved && !window.location.hash && saved.progress > 0.05 && saved.progress < 0.95 && this.progress < saved.progress) {
+            const heading = saved.headingId && document.getElementById(saved.headingId);
+            if (heading) this.showResumePrompt(heading);
+        }
+    }
+
+    createProgressBar() {
+        this.progressElement = document.createElement('div');
+        this.progressElement.className = 'reading-progress';
+        this.progressElement.setAttribute('role', 'progressbar');
+        this.progressElement.setAttribute('aria-label', 'Progression de la lecture');
+        this.progressElement.setAttribute('aria-valuemin', '0');
+        this.progressElement.setAttribute('aria-valuemax', '100');
+        this.progressElement.innerHTML = '<div class="reading-progress-bar"></div>';
+        this.progressBar = this.progressElement.firstElementChild;
+        document.body.appendChild(this.progressElement);
+    }
+
+    requestUpdate() {
+        if (this.ticking) return;
+        this.ticking = true;
+        window.requestAnimationFrame(() => {
+            this.ticking = false;
+            this.update();
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+        });
+    }
+
+    update() {
+        const navbarHeight = this.navbar ? this.navbar.offsetHeight : 0;
+        const rect = this.content.getBoundingClientRect();
+        const start = rect.top + window.scrollY - navbarHeight;
+        const end = rect.bottom + window.scrollY - window.innerHeight;
+        this.progress = end > start
+            ? Math.min(1, Math.max(0, (window.scrollY - start) / (end - start)))
+            : 1;
+
+        // The last heading that went past the navbar
+        const reached = this.headings.filter(heading => heading.getBoundingClientRect().top <= navbarHeight + 10);
+        this.headingId = reached.length ? reached[reached.length - 1].id : null;
+
+        const percent = Math.round(this.progress * 100);
+        this.progressBar.style.transform = `scaleX(${this.progress})`;
+        this.progressElement.setAttribute('aria-valuenow', String(percent));
+    }
+
+    readEntries() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    loadEntry() {
+        return this.readEntries()[window.location.pathname] || null;
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        const entries = this.readEntries();
+        entries[window.location.pathname] = {
+            progress: Math.round(this.progress * 1000) / 1000,
+            headingId: this.headingId,
+            updatedAt: Date.now()
+        };
+
+        // Keep only the most recently read posts
+        const kept = Object.entries(entries)
+            .sort(([, a], [, b]) => b.updatedAt - a.updatedAt)
+            .slice(0, this.maxEntries);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(kept)));
+        } catch (e) {
+            console.warn('ReadingProgressManager: Could not save the reading progress', e);
+        }
+    }
+
+    showResumePrompt(heading) {
+        const prompt = document.createElement('div');
+        prompt.className = 'reading-resume-prompt alert alert-info shadow';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <div class="mb-2"><i class="bi bi-bookmark me-2"></i>Vous vous étiez arrêté à « <span class="reading-resume-heading"></span> ».</div>
+            <button type="button" class="btn btn-sm btn-primary reading-resume-btn">Reprendre la lecture</button>
+            <button type="button" class="btn btn-sm btn-link reading-resume-dismiss">Ignorer</button>
+        `;
+        prompt.querySelector('.reading-resume-heading').textContent = heading.textContent.trim();
+
+        prompt.querySelector('.reading-resume-btn').addEventListener('click', () => {
+            prompt.remove();
+            if (this.smoothScroll) {
+                this.smoothScroll.scrollToElement(heading);
+            } else {
+                heading.scrollIntoView({ behavior: mediaPreferences.scrollBehavior() });
+            }
+        });
+        prompt.querySelector('.reading-resume-dismiss').addEventListener('click', () => prompt.remove());
+        document.body.appendChild(prompt);
+    }
+}
+
+/**
+ * Turns the Asciidoctor #toc block ("Sommaire") into a navigation that stays at hand.
+ * - Wide screens (xl): a sticky sidebar next to the content, collapsible (state kept in localStorage
+ *   and followed across the open pages of the site).
+ * - Smaller screens: a Bootstrap off-canvas panel opened from a floating button.
+ * - Highlights the section being read with an IntersectionObserver.
+ * - Heading jumps go through SmoothScrollWithOffset, so they land below the fixed navbar.
+ */
+class TableOfContentsManager {
+    /**
+     * @param {HTMLElement} toc - The #toc element.
+     */
+    constructor(toc) {
+        this.toc = toc;
+        this.content = toc.closest('.content');
+        this.storageKey = 'toc-collapsed';
+        this.activeLink = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.content) return;
+
+        this.links = Array.from(this.toc.querySelectorAll('a[href^="#"]'));
+        this.headings = this.links
+            .map(link => document.getElementById(decodeURIComponent(link.getAttribute('href').slice(1))))
+            .filter(Boolean);
+
+        this.buildLayout();
+        this.setupCollapse();
+        this.setupScrollSpy();
+    }
+
+    /**
+     * Wraps .content and a new <aside> in a .toc-layout grid, and moves #toc into the aside's off-canvas.
+     */
+    buildLayout() {
+        this.layout = document.createElement('div');
+        this.layout.className = 'toc-layout';
+        this.content.parentNode.insertBefore(this.layout, this.content);
+
+        const main = document.createElement('div');
+        main.className = 'toc-layout-main';
+        main.appendChild(this.content);
+
+        this.sidebar = document.createElement('aside');
+        this.sidebar.className = 'toc-sidebar';
+        this.sidebar.setAttribute('aria-label', 'Sommaire');
+        this.sidebar.innerHTML = `
+            <div class="offcanvas-xl offcanvas-end" tabindex="-1" id="toc-offcanvas" aria-labelledby="toc-offcanvas-title" data-bs-scroll="true">
+                <div class="offcanvas-header">
+                    <h2 class="offcanvas-title h5" id="toc-offcanvas-title">Sommaire</h2>
+                    <button type="button" class="btn-close" data-bs-dismiss="offcanvas" data-bs-target="#toc-offcanvas" aria-label="Fermer le sommaire"></button>
+                </div>
+                <div class="offcanvas-body"></div>
+            </div>
+        `;
+        this.scrollContainer = this.sidebar.querySelector('.offcanvas-body');
+        this.scrollContainer.appendChild(this.toc);
+        this.layout.append(main, this.sidebar);
+
+        const toggleButton = document.createElement('button');
+        toggleButton.type = 'button';
+        toggleButton.className = 'toc-toggle-btn d-xl-none';
+        toggleButton.setAttribute('data-bs-toggle', 'offcanvas');
+        toggleButton.setAttribute('data-bs-target', '#toc-offcanvas');
+        toggleButton.setAttribute('aria-controls', 'toc-offcanvas');
+        toggleButton.setAttribute('aria-label', 'Afficher le sommaire');
+        toggleButton.innerHTML = '<i class="bi bi-list-ul"></i>';
+        document.body.appendChild(toggleButton);
+    }
+
+    setupCollapse() {
+        const title = this.toc.querySelector('#toctitle');
+        const list = this.toc.querySelector(':scope > ul');
+        if (!title || !list) return;
+
+        list.id = list.id || 'toc-list';
+        const label = title.textContent.trim();
+        title.innerHTML = `
+            <button type="button" class="toc-collapse-btn" aria-controls="${list.id}">
+                <span></span><i class="bi bi-chevron-up" aria-hidden="true"></i>
+            </button>
+        `;
+        title.querySelector('span').textContent = label;
+        this.collapseButton = title.querySelector('button');
+        this.collapseButton.addEventListener('click', () => this.setCollapsed(!this.layout.classList.contains('toc-collapsed')));
+
+        let collapsed = false;
+        try {
+            collapsed = localStorage.getItem(this.storageKey) === 'true';
+        } catch (e) { /* Storage unavailable: keep the sidebar open */ }
+        this.setCollapsed(collapsed, false);
+
+        preferencesSync.subscribe(this.storageKey, (value) => this.setCollapsed(value === 'true', false));
+    }
+
+    setCollapsed(collapsed, persist = true) {
+        this.layout.classList.toggle('toc-collapsed', collapsed);
+        this.collapseButton.setAttribute('aria-expanded', String(!collapsed));
+        this.collapseButton.querySelector('i').className = `bi ${collapsed ? 'bi-chevron-down' : 'bi-chevron-up'}`;
+        if (!persist) return;
+        try {
+            localStorage.setItem(this.storageKey, String(collapsed));
+            preferencesSync.publish(this.storageKey);
+        } catch (e) {
+            console.warn('TableOfContentsManager: Could not save the collapsed state', e);
+        }
+    }
+
+    setupScrollSpy() {
+        if (!this.headings.length || !('IntersectionObserver' in window)) return;
+        // A heading becomes current when it crosses the upper 40% of the viewport
+        const observer = new IntersectionObserver(() => this.updateActiveLink(), { rootMargin: '0px 0px -60% 0px' });
+        this.headings.forEach(heading => observer.observe(heading));
+        this.updateActiveLink();
+    }
+
+    updateActiveLink() {
+        const threshold = window.innerHeight * 0.4;
+        const passed = this.headings.filter(heading => heading.getBoundingClientRect().top < threshold);
+        const current = passed[passed.length - 1];
+        const link = current ? this.links.find(candidate => decodeURIComponent(candidate.getAttribute('href').slice(1)) === current.id) : null;
+        if (link === this.activeLink) return;
+
+        if (this.activeLink) {
+            this.activeLink.classList.remove('active');
+            this.activeLink.removeAttribute('aria-current');
+        }
+        this.activeLink = link || null;
+        if (!this.activeLink) return;
+
+        this.activeLink.classList.add('active');
+        this.activeLink.setAttribute('aria-current', 'location');
+
+        // Keep the current entry visible in the sidebar without scrolling the page
+        const containerRect = this.scrollContainer.getBoundingClientRect();
+        const linkRect = this.activeLink.getBoundingClientRect();
+        if (linkRect.top < containerRect.top || linkRect.bottom > containerRect.bottom) {
+            this.scrollContainer.scrollTop += linkRect.top - containerRect.top - containerRect.height / 2;
+        }
+    }
+}
+
+/**
+ * Resolves a path relative to the site root, whatever the depth of the current page.
+ * The root is derived from the location of this script (`<root>/js/script.js`).
+ * @param {string} path - A path relative to the site root (e.g. 'search-index.json').
+ * @returns {string} - The absolute URL.
+ */
+function resolveSiteUrl(path) {
+    const script = document.querySelector('script[src$="js/script.js"]');
+    const siteRoot = script ? new URL('../', script.src) : new URL('/', window.location.href);
+    return new URL(path, siteRoot).href;
+}
+
+/**
+ * Normalizes French text for searching.
+ * - Folds case and diacritics ("Mathématique" -> "mathematique"), including the œ/æ ligatures.
+ * - Drops common stop-words ("le", "la", "les", "des"...) and elided articles ("l'", "d'").
+ * - Applies a light stemmer removing plural and frequent verb/noun endings,
+ *   so "mathematiques", "installer" and "installation" meet their other forms.
+ */
+class FrenchTextNormalizer {
+    constructor() {
+        this.stopWords = new Set([
+            'a', 'au', 'aux', 'avec', 'ce', 'ces', 'cet', 'cette', 'dans', 'de', 'des', 'du', 'elle', 'elles', 'en',
+            'est', 'et', 'il', 'ils', 'je', 'la', 'le', 'les', 'leur', 'leurs', 'mais', 'ne', 'nous', 'on', 'ou',
+            'par', 'pas', 'pour', 'qu', 'que', 'qui', 'sa', 'se', 'ses', 'son', 'sont', 'sur', 'ta', 'te', 'tu',
+            'un', 'une', 'vous', 'y', 'd', 'j', 'l', 'm', 'n', 's', 't'
+        ]);
+        // Longest suffixes first; a stem always keeps at least `minStemLength` characters
+        this.suffixes = [
+            'issements', 'issement', 'ements', 'ement', 'ations', 'ation', 'atrices', 'atrice', 'ateurs', 'ateur',
+            'euses', 'euse', 'eurs', 'eur', 'ees', 'ee', 'es', 'er', 'ez', 'e', 's', 'x'
+        ];
+        this.minStemLength = 3;
+    }
+
+    /**
+     * Lowercases the text and removes its diacritics. Ligatures are expanded, so the
+     * result may be longer than the input.
+     */
+    fold(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/œ/g, 'oe')
+            .replace(/æ/g, 'ae')
+            .normalize('NFD')
+            .replace(/\p{M}/gu, '');
+    }
+
+    stem(word) {
+        if (word.length <= this.minStemLength || /\d/.test(word)) return word;
+        const suffix = this.suffixes.find(s => word.endsWith(s) && word.length - s.length >= this.minStemLength);
+        return suffix ? word.slice(0, -suffix.length) : word;
+    }
+
+    /**
+     * Splits the text into folded, stemmed words, without the stop-words.
+     * @returns {Array<string>}
+     */
+    tokenize(text) {
+        const words = this.fold(text).match(/[\p{L}\p{N}]+/gu) || [];
+        return words.filter(word => !this.stopWords.has(word)).map(word => this.stem(word));
+    }
+
+    /**
+     * Finds the words of the original text starting with one of the given stems,
+     * comparing on the folded text.
+     * @param {string} text - The original text.
+     * @param {Array<string>} stems - Stems returned by `tokenize`.
+     * @returns {Array<{start: number, end: number}>} - Ranges in the original text.
+     */
+    findMatches(text, stems) {
+        if (!text || stems.length === 0) return [];
+
+        // Fold character by character to map each folded position back to the original one
+        let folded = '';
+        const origins = [];
+        for (let i = 0; i < text.length; i++) {
+            const foldedChar = text.charCodeAt(i) < 128 ? text[i].toLowerCase() : this.fold(text[i]);
+            folded += foldedChar;
+            for (let j = 0; j < foldedChar.length; j++) origins.push(i);
+        }
+        origins.push(text.length);
+
+        const pattern = stems.map(stem => stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        const wordPattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${pattern})[\\p{L}\\p{N}]*`, 'gu');
+        const matches = [];
+        let match;
+        while ((match = wordPattern.exec(folded)) !== null) {
+            matches.push({ start: origins[match.index], end: origins[match.index + match[0].length] });
+        }
+        return matches;
+    }
+}
+
+/**
+ * Provides client-side full-text search over the blog posts from the search modal.
+ * - Lazily loads the prebuilt JSON index (search-index.json) when the modal is first opened.
+ * - Ranks posts by weighted term matches (title > tags > headings > description > body).
+ * - Renders live results with highlighted snippets and links inside the modal.
+ */
+class SiteSearchManager {
+    constructor(modal) {
+        this.modal = modal;
+        this.form = modal.querySelector('form');
+        this.input = modal.querySelector('input[type="search"]');
+        this.resultsContainer = modal.querySelector('#search-results');
+        this.statusElement = modal.querySelector('#search-status');
+        this.indexUrl = resolveSiteUrl('search-index.json');
+        this.documents = null;
+        this.indexPromise = null;
+        this.debounceTimer = null;
+        this.maxResults = 10;
+        this.maxTagsShown = 3;
+        this.fieldWeights = { title: 10, tags: 6, headings: 4, description: 3, body: 1 };
+        this.normalizer = new FrenchTextNormalizer();
+        this.init();
+    }
+
+    init() {
+        if (!this.form || !this.input || !this.resultsContainer) {
+            console.warn('SiteSearchManager: Missing search form, input or results container.');
+            return;
+        }
+
+        this.modal.addEventListener('show.bs.modal', () => this.loadIndex());
+        this.modal.addEventListener('shown.bs.modal', () => this.input.focus());
+
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            clearTimeout(this.debounceTimer);
+            this.search(this.input.value);
+        });
+
+        this.input.addEventListener('input', () => {
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => this.search(this.input.value), 150);
+        });
+
+        // Let the keyboard move from the input to the first result
+        this.input.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowDown') {
+                const firstResult = this.resultsContainer.querySelector('a');
+                if (firstResult) {
+                    event.preventDefault();
+                    firstResult.focus();
+                }
+            }
+        });
+    }
+
+    /**
+     * Fetches the search index once and prepares the token maps of every document.
+     * @returns {Promise<Array<object>>} - The indexed documents.
+     */
+    loadIndex() {
+        if (!this.indexPromise) {
+            this.indexPromise = fetch(this.indexUrl)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(index => {
+                    this.documents = (index.documents || []).map(doc => this.prepareDocument(doc));
+                    console.log(`SiteSearchManager - ${this.documents.length} documents indexed (index v${index.version}).`);
+                    return this.documents;
+                })
+                .catch(error => {
+                    console.error('Failed to load search index:', error);
+                    this.indexPromise = null; // Allow a retry on the next opening
+                    throw error;
+                });
+        }
+        return this.indexPromise;
+    }
+
+    prepareDocument(doc) {
+        const fields = {
+            title: doc.title || '',
+            tags: (doc.tags || []).join(' '),
+            headings: (doc.headings || []).join(' '),
+            description: doc.description || '',
+            body: doc.body || ''
+        };
+        const tokens = {};
+        Object.keys(fields).forEach(field => {
+            tokens[field] = this.countTokens(fields[field]);
+        });
+        return { ...doc, tokens };
+    }
+
+    countTokens(text) {
+        const counts = new Map();
+        this.normalizer.tokenize(text).forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+        return counts;
+    }
+
+    /**
+     * Scores a document against the query terms. The last term is matched as a prefix
+     * so that results show up while the user is still typing.
+     * @returns {number} - 0 when at least one term is missing from the document.
+     */
+    scoreDocument(doc, terms) {
+        let score = 0;
+        for (let i = 0; i < terms.length; i++) {
+            const term = terms[i];
+            const isPrefix = i === terms.length - 1;
+            let termScore = 0;
+            Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+                const occurrences = this.countOccurrences(doc.tokens[field], term, isPrefix);
+                // Dampen long bodies repeating the same word
+                termScore += weight * Math.min(occurrences, 5);
+            });
+            if (termScore === 0) return 0;
+            score += termScore;
+        }
+        return score;
+    }
+
+    countOccurrences(tokenCounts, term, isPrefix) {
+        if (!isPrefix) return tokenCounts.get(term) || 0;
+        let total = 0;
+        tokenCounts.forEach((count, token) => {
+            if (token.startsWith(term)) total += count;
+        });
+        return total;
+    }
+
+    async search(query) {
+        const terms = this.normalizer.tokenize(query);
+        if (terms.length === 0) {
+            this.resultsContainer.innerHTML = '';
+            this.setStatus('');
+            return;
+        }
+
+        try {
+            await this.loadIndex();
+        } catch (e) {
+            this.setStatus('La recherche est indisponible pour le moment.');
+            return;
+        }
+
+        const results = this.documents
+            .map(doc => ({ doc, score: this.scoreDocument(doc, terms) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || (b.doc.date || '').localeCompare(a.doc.date || ''));
+
+        this.renderResults(results.slice(0, this.maxResults), terms);
+        this.setStatus(results.length === 0
+            ? 'Aucun article ne correspond à votre recherche.'
+            : `${results.length} article${results.length > 1 ? 's' : ''} trouvé${results.length > 1 ? 's' : ''}.`);
+    }
+
+    renderResults(results, terms) {
+        this.resultsContainer.innerHTML = '';
+        results.forEach(({ doc }) => {
+            const link = document.createElement('a');
+            link.href = resolveSiteUrl(doc.url);
+            link.className = 'themed-list-group-item search-result d-block';
+
+            const title = document.createElement('div');
+            title.className = 'fw-bold';
+            title.innerHTML = this.highlight(doc.title, terms);
+            link.appendChild(title);
+
+            const meta = [doc.date, ...this.pickTags(doc.tags || [], terms)].filter(Boolean).join(' · ');
+            if (meta) {
+                const metaElement = document.createElement('small');
+                metaElement.className = 'text-muted';
+                metaElement.textContent = meta;
+                link.appendChild(metaElement);
+            }
+
+            const snippet = document.createElement('p');
+            snippet.className = 'search-snippet mb-0';
+            snippet.innerHTML = this.highlight(this.buildSnippet(doc, terms), terms);
+            link.appendChild(snippet);
+
+            this.resultsContainer.appendChild(link);
+        });
+    }
+
+    /**
+     * Returns the first tags of the document for the meta line, the ones matching the search first.
+     */
+    pickTags(tags, terms) {
+        const matching = tags.filter(tag => this.normalizer.findMatches(tag, terms).length > 0);
+        const others = tags.filter(tag => !matching.includes(tag));
+        return [...matching, ...others].slice(0, this.maxTagsShown);
+    }
+
+    /**
+     * Extracts a short excerpt of the body around the first matching term,
+     * falling back to the description.
+     */
+    buildSnippet(doc, terms, radius = 80) {
+        const body = doc.body || '';
+        const [firstMatch] = this.normalizer.findMatches(body, terms);
+        if (!firstMatch) {
+            return (doc.description || body).slice(0, radius * 2);
+        }
+        const position = firstMatch.start;
+        const start = Math.max(0, position - radius);
+        const end = Math.min(body.length, position + radius);
+        return `${start > 0 ? '…' : ''}${body.slice(start, end).trim()}${end < body.length ? '…' : ''}`;
+    }
+
+    highlight(text, terms) {
+        let html = '';
+        let cursor = 0;
+        this.normalizer.findMatches(text, terms).forEach(({ start, end }) => {
+            html += `${this.escapeHtml(text.slice(cursor, start))}<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+        return html + this.escapeHtml((text || '').slice(cursor));
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    setStatus(message) {
+        if (this.statusElement) {
+            this.statusElement.textContent = message;
+        }
+    }
+}
+
+/**
+ * Interface of the contact form backends.
+ * - `send(contact)` delivers one message and never throws: failures are returned as `{error}`,
+ *   with `error.retryable` set when the ContactOutbox should try again later.
+ * - `isAvailable()` tells whether the backend is configured and usable on this page.
+ * Implementations are picked from the #contact-config block by createContactTransport().
+ */
+class ContactTransport {
+    /**
+     * @param {object} contact - {name, email, phone, subject, message, pow}, see SupabaseManager.submitContactForm.
+     * @returns {Promise<{data?: any, error?: {message: string, retryable: boolean}}>}
+     */
+    async send(contact) {
+        throw new Error(`${this.constructor.name} does not implement send().`);
+    }
+
+    isAvailable() {
+        return true;
+    }
+}
+
+/**
+ * Manages connection and interactions with Supabase.
+ * - Initializes the Supabase client using globally injected credentials.
+ * - Provides methods for interacting with Supabase services (e.g., database).
+ * - Acts as the default ContactTransport, through the 'handle_contact_form' RPC.
+ */
+class SupabaseManager extends ContactTransport {
+    constructor() {
+        super();
+        this.supabase = null;
+        // Set when the credentials are missing or rejected: unlike a library that failed to load, retrying won't help
+        this.configurationError = null;
+        this.init();
+    }
+
+    init() {
+        // Check if globally injected credentials exist (they are null until injected at deploy time)
+        if (typeof SUPABASE_URL === 'undefined' || typeof SUPABASE_KEY === 'undefined' || !SUPABASE_URL || !SUPABASE_KEY) {
+            console.error('Supabase URL or Key is not defined. Make sure they are injected correctly in the HTML.');
+            this.configurationError = 'Supabase URL or key not configured.';
+            return;
+        }
+        // Check if Supabase client library is loaded
+        if (typeof supabase === 'undefined') {
+            console.error('Supabase client library (supabase-js) is not loaded.');
+            return;
+        }
+
+        try {
+            // Initialize the client with the global variables
+            this.supabase = supabase.createClient(SUPABASE_URL, SUPABASE_KEY);
+            console.log('Supabase client initialized successfully.');
+        } catch (error) {
+            console.error('Failed to initialize Supabase client:', error);
+            this.configurationError = `Invalid Supabase configuration: ${error.message}`;
+        }
+    }
+
+    /**
+     * Submits the contact form data to the Supabase RPC function 'handle_contact_form'.
+     * @param {object} contact - The contact form data.
+     * @param {string} contact.name - The sender's name.
+     * @param {string} contact.email - The sender's email.
+     * @param {string} contact.phone - The sender's phone number, in E.164 format (e.g. +33612345678).
+     * @param {string} contact.subject - The message subject.
+     * @param {string} contact.message - The message content.
+     * @param {?object} [contact.pow] - The anti-spam proof of work ({challenge, nonce, difficulty}), if any.
+     * @returns {Promise<{data: any, error: any}>} - The result from the RPC call. `error.retryable` is set
+     *     when the failure is transient (client library not loaded, offline, network or server error).
+     */
+    async submitContactForm({ name, email, phone, subject, message, pow = null }) {
+        if (!this.supabase) {
+            console.error('Supabase client is not initialized.');
+            return { error: { message: this.configurationError || 'Supabase client not available.', retryable: !this.configurationError } };
+        }
+
+        let result;
+        try {
+            result = await this.supabase.rpc('handle_contact_form', {
+                p_name: name,
+                p_email: email,
+                p_phone: phone,
+                p_subject: subject,
+                p_message: message,
+                p_pow: pow
+            });
+        } catch (e) {
+            console.error('Error calling handle_contact_form RPC:', e);
+            return { error: { message: e.message, retryable: true } };
+        }
+
+        const { data, error, status } = result;
+        if (error) {
+            console.error('Error calling handle_contact_form RPC:', error);
+            const isNetworkError = !navigator.onLine || status === 0 || /fetch|network/i.test(error.message || '');
+            return { error: { ...error, retryable: isNetworkError || status >= 500 } };
+        }
+
+        console.log('RPC handle_contact_form called successfully:', data);
+        return { data };
+    }
+
+    send(contact) {
+        return this.submitContactForm(contact);
+    }
+
+    isAvailable() {
+        return this.supabase !== null;
+    }
+}
+
+/**
+ * Base class of the transports posting the message to an HTTP endpoint.
+ * - Network errors and 5xx responses are retryable, other error statuses are not.
+ */
+class HttpContactTransport extends ContactTransport {
+    /**
+     * @param {object} options
+     * @param {string} options.url - The endpoint receiving the message.
+     * @param {object} [options.headers] - Extra request headers (e.g. an API key).
+     */
+    constructor({ url, headers = {} } = {}) {
+        super();
+        this.url = url;
+        this.headers = headers;
+    }
+
+    isAvailable() {
+        return Boolean(this.url);
+    }
+
+    async post(body, headers = {}) {
+        if (!this.url) {
+            return { error: { message: `${this.constructor.name}: No endpoint URL configured.`, retryable: false } };
+        }
+
+        let response;
+        try {
+            response = await fetch(this.url, {
+                method: 'POST',
+                headers: { Accept: 'application/json', ...headers, ...this.headers },
+                body
+            });
+        } catch (e) {
+            console.error(`${this.constructor.name}: Request failed:`, e);
+            return { error: { message: e.message, retryable: true } };
+        }
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok) {
+            const message = data?.errors?.map(error => error.message).join(' ') || data?.message || response.statusText || `HTTP ${response.status}`;
+            console.error(`${this.constructor.name}: Endpoint answered ${response.status}:`, message);
+            return { error: { message, status: response.status, retryable: response.status >= 500 } };
+        }
+        return { data };
+    }
+}
+
+/**
+ * Posts the message as JSON to a generic webhook (Zapier, n8n, a serverless function...).
+ * The body is the contact object itself: {name, email, phone, subject, message, pow}.
+ */
+class WebhookContactTransport extends HttpContactTransport {
+    send(contact) {
+        return this.post(JSON.stringify(contact), { 'Content-Type': 'application/json' });
+    }
+}
+
+/**
+ * Posts the message as form data to a Formspree-style endpoint (Formspree, Getform, Basin...).
+ * - `email` is used as the reply-to address and `_subject` as the e-mail subject by these services.
+ */
+class FormEndpointContactTransport extends HttpContactTransport {
+    send({ name, email, phone, subject, message, pow = null }) {
+        const formData = new FormData();
+        formData.append('name', name);
+        formData.append('email', email);
+        formData.append('phone', phone);
+        formData.append('_subject', subject);
+        formData.append('message', message);
+        if (pow) {
+            formData.append('pow', JSON.stringify(pow));
+        }
+        return this.post(formData);
+    }
+}
+
+/**
+ * Last-resort transport: opens the visitor's mail client with the message prefilled.
+ * - The message is only handed off: the visitor still has to send the e-mail, so the result is
+ *   flagged with `data.handoff` and the transport is never used by the ContactOutbox.
+ */
+class MailtoContactTransport extends ContactTransport {
+    /**
+     * @param {object} options
+     * @param {string} options.to - The recipient address.
+     */
+    constructor({ to } = {}) {
+        super();
+        this.to = to;
+    }
+
+    isAvailable() {
+        return Boolean(this.to);
+    }
+
+    async send({ name, email, phone, subject, message }) {
+        if (!this.to) {
+            return { error: { message: 'MailtoContactTransport: No recipient configured.', retryable: false } };
+        }
+        const body = `${message}\n\n--\n${name}\n${email}\n${phone}`;
+        window.location.href = `mailto:${encodeURIComponent(this.to)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+        return { data: { handoff: 'mailto' } };
+    }
+}
+
+/**
+ * Keeps the messages in memory instead of sending them, for UI tests and local development.
+ * - `delay` simulates the network latency, `error` simulates a failing backend.
+ */
+class InMemoryContactTransport extends ContactTransport {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.delay] - Milliseconds before answering.
+     * @param {?{message: string, retryable: boolean}} [options.error] - Error returned instead of storing the message.
+     */
+    constructor({ delay = 0, error = null } = {}) {
+        super();
+        this.delay = delay;
+        this.error = error;
+        this.messages = [];
+    }
+
+    async send(contact) {
+        console.log('InMemoryContactTransport.send() called with:', contact);
+        await new Promise(resolve => setTimeout(resolve, this.delay));
+        if (this.error) {
+            return { error: { ...this.error } };
+        }
+        this.messages.push({ ...contact, receivedAt: new Date().toISOString() });
+        return { data: { success: true } };
+    }
+}
+
+/**
+ * Builds the ContactTransport described by a #contact-config entry, e.g. `{"type": "webhook", "url": "..."}`.
+ * Supported types: supabase (default), webhook, form, mailto and memory.
+ * @param {object} [config]
+ * @returns {ContactTransport}
+ */
+function createContactTransport(config = {}) {
+    const { type = 'supabase', ...options } = config;
+    switch (type) {
+        case 'supabase':
+            return new SupabaseManager();
+        case 'webhook':
+            return new WebhookContactTransport(options);
+        case 'form':
+            return new FormEndpointContactTransport(options);
+        case 'mailto':
+            return new MailtoContactTransport(options);
+        case 'memory':
+            return new InMemoryContactTransport(options);
+        default:
+            console.error(`Unknown contact transport "${type}", falling back to Supabase.`);
+            return new SupabaseManager();
+    }
+}
+
+/**
+ * Returns a lookup of the ContactTransport described by a #contact-config entry, created once per distinct entry.
+ * @param {Array<[?object, ContactTransport]>} [known] - Transports already created, e.g. the one of the page.
+ * @returns {function(?object): ContactTransport}
+ */
+function createContactTransportLookup(known = []) {
+    const transports = new Map(known.map(([config, transport]) => [JSON.stringify(config || {}), transport]));
+    return config => {
+        const key = JSON.stringify(config || {});
+        if (!transports.has(key)) transports.set(key, createContactTransport(config || {}));
+        return transports.get(key);
+    };
+}
+
+/**
+ * Keeps the contact messages that could not be sent in an IndexedDB outbox.
+ * - Retries them with exponential backoff while the page is open and on the next visit.
+ * - Retries them right away when the browser comes back online.
+ * - Sends from one tab at a time (Web Locks API), so that a message is not sent once per open tab.
+ * - Stores the transport configuration with each message, for the pages without #contact-config to retry it.
+ * - Drops a message the backend refuses (including an unconfigured backend), after `maxAttempts` failures,
+ *   or once it is older than `maxAge`: its proof of work, stamped in the challenge, is stale by then.
+ * - Notifies listeners of the number of pending messages.
+ */
+class ContactOutbox {
+    /**
+     * @param {function(object, ?object): Promise<{data: any, error: any}>} send - Sends one contact message,
+     *     with the transport configuration it was queued with.
+     * @param {object} [options]
+     * @param {?object} [options.transportConfig] - The #contact-config transport, stored with the queued messages.
+     */
+    constructor(send, { transportConfig = null } = {}) {
+        this.send = send;
+        this.transportConfig = transportConfig;
+        this.dbName = 'e3po-contact';
+        this.storeName = 'outbox';
+        this.lockName = 'contact-outbox';
+        this.baseDelay = 30 * 1000;
+        this.maxDelay = 60 * 60 * 1000;
+        this.maxAttempts = 10;
+        this.maxAge = 24 * 60 * 60 * 1000;
+        this.listeners = [];
+        this.retryTimer = null;
+        this.isFlushing = false;
+        this.dbPromise = null;
+        this.init();
+    }
+
+    static isSupported() {
+        return 'indexedDB' in window;
+    }
+
+    init() {
+        window.addEventListener('online', () => this.flush({ force: true }));
+        this.flush();
+    }
+
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs a request against the outbox store and resolves with its result.
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} operation
+     */
+    async withStore(mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Queues a contact message; the first retry happens after the base delay.
+     */
+    async enqueue(contact) {
+        const now = Date.now();
+        await this.withStore('readwrite', store => store.add({
+            contact,
+            transport: this.transportConfig,
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now + this.baseDelay
+        }));
+        await this.notify();
+        this.scheduleRetry();
+    }
+
+    async getPending() {
+        return this.withStore('readonly', store => store.getAll());
+    }
+
+    /**
+     * Sends the queued messages whose retry time has come.
+     * @param {object} [options]
+     * @param {boolean} [options.force=false] - Ignore the backoff (e.g. the browser just came back online).
+     */
+    async flush({ force = false } = {}) {
+        if (this.isFlushing || !navigator.onLine) return;
+        this.isFlushing = true;
+        try {
+            await this.withLock(() => this.sendDue(force));
+        } catch (e) {
+            console.error('ContactOutbox: Failed to flush the outbox:', e);
+        } finally {
+            this.isFlushing = false;
+        }
+        await this.notify();
+        this.scheduleRetry();
+    }
+
+    /**
+     * Runs the callback once no other tab holds the outbox lock.
+     * Browsers without the Web Locks API run it right away.
+     */
+    async withLock(callback) {
+        if (!navigator.locks) return callback();
+        return navigator.locks.request(this.lockName, () => callback());
+    }
+
+    async sendDue(force) {
+        // Read the entries under the lock: another tab may have sent some of them meanwhile
+        const now = Date.now();
+        const entries = await this.getPending();
+        for (const entry of entries) {
+            if (this.isExpired(entry, now)) {
+                await this.drop(entry, { message: 'Message expired before it could be sent.', retryable: false });
+                continue;
+            }
+            if (!force && entry.nextAttemptAt > now) continue;
+            await this.attempt(entry);
+        }
+    }
+
+    /**
+     * Whether the message, or the proof of work it carries (its challenge starts with a timestamp), is too old to send.
+     */
+    isExpired(entry, now) {
+        const powCreatedAt = parseInt(entry.contact.pow?.challenge, 10) || Infinity;
+        return now - Math.min(entry.createdAt, powCreatedAt) > this.maxAge;
+    }
+
+    async attempt(entry) {
+        let error;
+        try {
+            ({ error } = await this.send(entry.contact, entry.transport || null));
+        } catch (e) {
+            error = { message: e.message, retryable: true };
+        }
+
+        if (!error) {
+            console.log('ContactOutbox: Queued message sent.');
+            await this.withStore('readwrite', store => store.delete(entry.id));
+            this.listeners.forEach(listener => listener({ type: 'sent', contact: entry.contact }));
+            return;
+        }
+        const attempts = entry.attempts + 1;
+        if (!error.retryable || attempts >= this.maxAttempts) {
+            // The backend refused the message itself, or keeps failing: retrying would fail the same way
+            await this.drop(entry, error);
+            return;
+        }
+
+        const delay = Math.min(this.baseDelay * 2 ** attempts, this.maxDelay);
+        await this.withStore('readwrite', store => store.put({ ...entry, attempts, nextAttemptAt: Date.now() + delay }));
+    }
+
+    async drop(entry, error) {
+        console.error('ContactOutbox: Dropping a queued message:', error);
+        await this.withStore('readwrite', store => store.delete(entry.id));
+        this.listeners.forEach(listener => listener({ type: 'dropped', contact: entry.contact, error }));
     }
 
-    init() {
-        document.querySelectorAll('pre code').forEach(codeBlock => {
-            const preElement = codeBlock.parentElement;
-            if (preElement) {
-                const copyButton = this.createCopyButton();
-                preElement.appendChild(copyButton);
-                this.setupCopyEventListener(copyButton, codeBlock);
-            }
-        });
+    async scheduleRetry() {
+        clearTimeout(this.retryTimer);
+        const entries = await this.getPending().catch(() => []);
+        if (entries.length === 0) return;
+        const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+        this.retryTimer = setTimeout(() => this.flush(), Math.max(nextAttemptAt - Date.now(), 1000));
     }
 
-    createCopyButton() {
-        const button = document.createElement('button');
-        button.className = 'copy-code-btn';
-        button.innerHTML = '<i class="bi bi-clipboard"></i> Copier';
-        button.setAttribute('aria-label', 'Copier le code');
-        return button;
+    /**
+     * @param {function({type: string, pending?: number, contact?: object, error?: object}): void} listener
+     *     Called with `{type: 'pending', pending}` when the queue changes, `{type: 'sent', contact}` on delivery
+     *     and `{type: 'dropped', contact, error}` when a message is given up.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        this.notify();
     }
 
-    setupCopyEventListener(button, codeBlock) {
-        button.addEventListener('click', () => {
-            const codeToCopy = codeBlock.innerText;
-            navigator.clipboard.writeText(codeToCopy).then(() => {
-                button.innerHTML = '<i class="bi bi-check-lg"></i> Copié !';
-                button.classList.add('copied');
-                setTimeout(() => {
-                    button.innerHTML = '<i class="bi bi-clipboard"></i> Copier';
-                    button.classList.remove('copied');
-                }, 2000);
-            }).catch(err => {
-                console.error('Failed to copy code: ', err);
-                button.innerText = 'Erreur';
-            });
-        });
+    async notify() {
+        const pending = (await this.getPending().catch(() => [])).length;
+        this.listeners.forEach(listener => listener({ type: 'pending', pending }));
     }
 }
 
-
 /**
- * Initializes all Bootstrap tooltips on the page.
- * - Finds all elements with `data-bs-toggle="tooltip"`.
- * - Creates a new Bootstrap Tooltip instance for each.
+ * Reads the contact configuration block of the page:
+ * `<script type="application/json" id="contact-config">{ ... }</script>`.
+ * The entry of `environments` matching the current host (e.g. "localhost:8820") overrides the top-level keys.
+ * @returns {object} - The parsed configuration, or an empty object.
  */
-class TooltipManager {
-    constructor() {
-        this.init();
-    }
-
-    init() {
-        const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-toggle="tooltip"]'));
-        tooltipTriggerList.map(function (tooltipTriggerEl) {
-            return new bootstrap.Tooltip(tooltipTriggerEl);
-        });
+function readContactConfig() {
+    const configElement = document.getElementById('contact-config');
+    if (!configElement) return {};
+    try {
+        const { environments = {}, ...config } = JSON.parse(configElement.textContent);
+        return { ...config, ...(environments[window.location.host] || {}) };
+    } catch (e) {
+        console.error('Invalid #contact-config JSON:', e);
+        return {};
     }
 }
 
 /**
- * Manages connection and interactions with Supabase.
- * - Initializes the Supabase client using globally injected credentials.
- * - Provides methods for interacting with Supabase services (e.g., database).
+ * Client-side anti-spam layers of the contact form, each one configurable on its own:
+ * - honeypot: a hidden field that humans leave empty.
+ * - minSubmitTime: rejects forms submitted faster than a human could fill them, counting from the first
+ *   interaction with the form (not from page load, which says nothing about the time spent filling it).
+ * - rateLimit: caps the submissions per browser over a time window (kept in localStorage).
+ * - proofOfWork: a small SHA-256 hashcash computed in a Web Worker and sent with the RPC payload,
+ *   for the backend to verify.
  */
-class SupabaseManager {
-    constructor() {
-        this.supabase = null;
+class ContactSpamGuard {
+    static DEFAULTS = {
+        honeypot: { enabled: true, fieldName: 'website' },
+        minSubmitTime: { enabled: true, milliseconds: 3000 },
+        rateLimit: { enabled: true, maxSubmissions: 3, windowMinutes: 60, storageKey: 'contact-submissions' },
+        proofOfWork: { enabled: true, difficulty: 14, timeoutMilliseconds: 15000 }
+    };
+
+    /**
+     * @param {HTMLFormElement} form
+     * @param {object} [config] - Overrides of ContactSpamGuard.DEFAULTS, layer by layer.
+     */
+    constructor(form, config = {}) {
+        this.form = form;
+        this.config = {};
+        Object.keys(ContactSpamGuard.DEFAULTS).forEach(layer => {
+            this.config[layer] = { ...ContactSpamGuard.DEFAULTS[layer], ...(config[layer] || {}) };
+        });
+        this.startedAt = null;
+        this.proofOfWorkPromise = null;
         this.init();
     }
 
     init() {
-        // Check if a mock SupabaseManager is provided globally (for testing)
-        if (typeof window.MockSupabaseManager !== 'undefined') {
-            console.log('Using MockSupabaseManager for testing.');
-            // Assign a mock instance directly
-            this.supabase = new window.MockSupabaseManager();
-            return;
+        const markStarted = () => {
+            if (this.startedAt === null) this.startedAt = Date.now();
+        };
+        this.form.addEventListener('focusin', markStarted);
+        this.form.addEventListener('input', markStarted);
+
+        // Start the proof of work as soon as the user engages with the form, so it is ready on submit
+        if (this.config.proofOfWork.enabled) {
+            this.form.addEventListener('focusin', () => this.getProofOfWork(), { once: true });
         }
+    }
 
-        // Check if Supabase client library is loaded
-        if (typeof supabase === 'undefined') {
-            console.error('Supabase client library (supabase-js) is not loaded.');
-            return;
+    /**
+     * Runs the honeypot, timing and rate limit checks.
+     * @returns {{ok: boolean, silent?: boolean, message?: string}} - `silent` means the submission
+     *     should look successful without being sent (the bot must not learn it was caught).
+     */
+    check() {
+        const { honeypot, minSubmitTime, rateLimit } = this.config;
+
+        if (honeypot.enabled) {
+            const trap = this.form.querySelector(`[name="${honeypot.fieldName}"]`);
+            if (trap && trap.value !== '') {
+                console.warn('ContactSpamGuard: Honeypot field filled.');
+                return { ok: false, silent: true };
+            }
         }
-        // Check if globally injected credentials exist
-        if (typeof SUPABASE_URL === 'undefined' || typeof SUPABASE_KEY === 'undefined') {
-            console.error('Supabase URL or Key is not defined. Make sure they are injected correctly in the HTML.');
-            return;
+
+        // A form submitted without any interaction was filled by a script: count it as instant
+        const elapsed = this.startedAt === null ? 0 : Date.now() - this.startedAt;
+        if (minSubmitTime.enabled && elapsed < minSubmitTime.milliseconds) {
+            return { ok: false, message: 'Votre message a été envoyé trop rapidement. Veuillez patienter quelques secondes et réessayer.' };
+        }
+
+        if (rateLimit.enabled) {
+            const recent = this.getRecentSubmissions();
+            if (recent.length >= rateLimit.maxSubmissions) {
+                const retryInMinutes = Math.ceil((recent[0] + rateLimit.windowMinutes * 60000 - Date.now()) / 60000);
+                return { ok: false, message: `Vous avez envoyé trop de messages. Veuillez réessayer dans ${retryInMinutes} minute${retryInMinutes > 1 ? 's' : ''}.` };
+            }
         }
 
+        return { ok: true };
+    }
+
+    getRecentSubmissions() {
+        const { windowMinutes, storageKey } = this.config.rateLimit;
+        const since = Date.now() - windowMinutes * 60000;
         try {
-            // Initialize the client with the global variables
-            this.supabase = supabase.createClient(SUPABASE_URL, SUPABASE_KEY);
-            console.log('Supabase client initialized successfully.');
-        } catch (error) {
-            console.error('Failed to initialize Supabase client:', error);
+            const timestamps = JSON.parse(localStorage.getItem(storageKey) || '[]');
+            return timestamps.filter(timestamp => timestamp > since).sort((a, b) => a - b);
+        } catch (e) {
+            return [];
+        }
+    }
+
+    recordSubmission() {
+        if (!this.config.rateLimit.enabled) return;
+        try {
+            const timestamps = [...this.getRecentSubmissions(), Date.now()];
+            localStorage.setItem(this.config.rateLimit.storageKey, JSON.stringify(timestamps));
+        } catch (e) {
+            console.warn('ContactSpamGuard: Could not record the submission', e);
         }
+        // A new proof of work is needed for the next message
+        this.proofOfWorkPromise = null;
+        this.startedAt = null;
     }
 
     /**
-     * Submits the contact form data to the Supabase RPC function 'handle_contact_form'.
-     * @param {string} name - The sender's name.
-     * @param {string} email - The sender's email.
-     * @param {string} subject - The message subject.
-     * @param {string} message - The message content.
-     * @returns {Promise<{data: any, error: any}>} - The result from the RPC call.
+     * Finds a nonce such that SHA-256(`${challenge}:${nonce}`) starts with `difficulty` zero bits.
+     * @returns {Promise<{challenge: string, nonce: number, difficulty: number}|null>} - null when
+     *     disabled, unsupported (no Worker or no SubtleCrypto) or too slow.
      */
-    async submitContactForm(name, email, subject, message) {
-        if (!this.supabase) {
-            console.error('Supabase client is not initialized.');
-            return { error: { message: 'Supabase client not available.' } };
+    getProofOfWork() {
+        const { enabled, difficulty, timeoutMilliseconds } = this.config.proofOfWork;
+        if (!enabled || !('Worker' in window) || !window.crypto?.subtle) {
+            return Promise.resolve(null);
         }
-
-        const { data, error } = await this.supabase.rpc('handle_contact_form', {
-            p_name: name,
-            p_email: email,
-            p_subject: subject,
-            p_message: message
-        });
-
-        if (error) {
-            console.error('Error calling handle_contact_form RPC:', error);
-            return { error };
+        if (!this.proofOfWorkPromise) {
+            const randomPart = Array.from(crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join('');
+            const challenge = `${Date.now()}:${randomPart}`;
+            this.proofOfWorkPromise = this.runProofOfWorkWorker(challenge, difficulty, timeoutMilliseconds);
         }
+        return this.proofOfWorkPromise;
+    }
 
-        console.log('RPC handle_contact_form called successfully:', data);
-        return { data };
+    runProofOfWorkWorker(challenge, difficulty, timeoutMilliseconds) {
+        const workerSource = `
+            self.onmessage = async (event) => {
+                const { challenge, difficulty } = event.data;
+                const encoder = new TextEncoder();
+                for (let nonce = 0; ; nonce++) {
+                    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(challenge + ':' + nonce)));
+                    let zeroBits = 0;
+                    for (const byte of digest) {
+                        if (byte === 0) { zeroBits += 8; continue; }
+                        zeroBits += Math.clz32(byte) - 24;
+                        break;
+                    }
+                    if (zeroBits >= difficulty) {
+                        self.postMessage({ challenge, nonce, difficulty });
+                        return;
+                    }
+                }
+            };
+        `;
+        return new Promise(resolve => {
+            const workerUrl = URL.createObjectURL(new Blob([workerSource], { type: 'text/javascript' }));
+            const worker = new Worker(workerUrl);
+            const finish = (result) => {
+                clearTimeout(timeout);
+                worker.terminate();
+                URL.revokeObjectURL(workerUrl);
+                resolve(result);
+            };
+            const timeout = setTimeout(() => {
+                console.warn('ContactSpamGuard: Proof of work timed out.');
+                finish(null);
+            }, timeoutMilliseconds);
+            worker.onmessage = (event) => finish(event.data);
+            worker.onerror = (error) => {
+                console.error('ContactSpamGuard: Proof of work failed:', error);
+                finish(null);
+            };
+            worker.postMessage({ challenge, difficulty });
+        });
     }
 }
 
 /**
  * Manages the contact form submission.
- * - Listens for the form's submit event.
- * - Prevents the default browser submission.
- * - Calls the SupabaseManager to send the data.
- * - (Will be updated to) Provide visual feedback to the user.
+ * - Validates the fields on submit (and live once the form has been validated once).
+ * - Prevents the default browser submission and sends the data through a ContactTransport,
+ *   or through the fallback transport when the main one is not available.
+ * - Runs the ContactSpamGuard checks and attaches its proof of work to the payload.
+ * - Queues the message in the ContactOutbox when offline or when the backend is unreachable.
+ * - Reports the result through the #contact-success-message / #contact-error-message /
+ *   #contact-queued-message blocks.
+ * - Autosaves a draft of the fields to sessionStorage while typing, restores it on return
+ *   (with the #contact-draft-message notice) and wipes it once the message is sent.
  */
 class ContactFormHandler {
-    constructor(form, supabaseManager) {
+    /**
+     * @param {HTMLFormElement} form
+     * @param {ContactTransport} transport
+     * @param {object} [options]
+     * @param {?ContactTransport} [options.fallbackTransport] - Used when `transport` is not available, or fails without an outbox.
+     * @param {?PhoneInputManager} [options.phoneInputManager]
+     * @param {?ContactOutbox} [options.outbox]
+     * @param {?ContactSpamGuard} [options.spamGuard]
+     */
+    constructor(form, transport, { fallbackTransport = null, phoneInputManager = null, outbox = null, spamGuard = null } = {}) {
         this.form = form;
-        this.supabaseManager = supabaseManager;
+        this.transport = transport;
+        this.fallbackTransport = fallbackTransport?.isAvailable() ? fallbackTransport : null;
+        this.phoneInputManager = phoneInputManager;
+        this.outbox = outbox;
+        this.spamGuard = spamGuard;
+        this.successMessage = document.getElementById('contact-success-message');
+        this.errorMessage = document.getElementById('contact-error-message');
+        this.queuedMessage = document.getElementById('contact-queued-message');
+        this.handoffMessage = document.getElementById('contact-handoff-message');
+        this.draftMessage = document.getElementById('contact-draft-message');
+        this.draftStorageKey = 'contact-draft';
+        this.draftSaveDelay = 500;
+        this.draftSaveTimer = null;
+        this.defaultErrorText = this.errorMessage ? this.errorMessage.textContent.trim() : '';
         this.init();
     }
 
     init() {
-        if (!this.form || !this.supabaseManager) {
-            console.warn('ContactFormHandler: Form or SupabaseManager not provided.');
+        if (!this.form || !this.transport) {
+            console.warn('ContactFormHandler: Form or ContactTransport not provided.');
             return;
         }
 
-        this.form.addEventListener('submit', async (event) => {
-            event.preventDefault();
-            event.stopPropagation();
+        this.fields = {
+            name: this.form.querySelector('input[name="name"]'),
+            email: this.form.querySelector('input[name="email"]'),
+            phone: this.form.querySelector('input[name="phone"]'),
+            subject: this.form.querySelector('input[name="subject"]'),
+            message: this.form.querySelector('textarea[name="message"]')
+        };
 
-            // Add was-validated class to trigger Bootstrap's styles
-            this.form.classList.add('was-validated');
+        this.form.addEventListener('submit', (event) => this.handleSubmit(event));
 
-            // Check validity
-            if (!this.form.checkValidity()) {
-                console.log('Form is invalid. Submission stopped.');
-                return; // Stop if the form is invalid
+        // Once the user has tried to submit, keep the feedback in sync with what they type
+        this.form.addEventListener('input', () => {
+            if (this.form.classList.contains('was-validated')) {
+                this.validateFields();
             }
+            this.scheduleDraftSave();
+        });
+        // The country picker of the phone field does not fire 'input'
+        this.fields.phone?.addEventListener('countrychange', () => this.scheduleDraftSave());
+        // Don't lose the last keystrokes still waiting for the debounce
+        window.addEventListener('pagehide', () => {
+            if (this.draftSaveTimer) this.saveDraft();
+        });
 
-            console.log('Contact form is valid, proceeding with submission.');
+        this.draftMessage?.querySelector('.contact-draft-clear')?.addEventListener('click', () => {
+            this.resetForm();
+            this.hideFeedback();
+        });
+        this.restoreDraft();
 
-            const formData = new FormData(this.form);
-            const name = formData.get('name');
-            const email = formData.get('email');
-            const subject = formData.get('subject');
-            const message = formData.get('message');
+        if (this.outbox) {
+            this.outbox.subscribe(event => this.handleOutboxEvent(event));
+        }
+    }
 
-            const submitButton = this.form.querySelector('button[type="submit"]');
-            const originalButtonHtml = submitButton.innerHTML;
+    handleOutboxEvent(event) {
+        if (event.type === 'pending') {
+            this.showQueued(event.pending);
+        } else if (event.type === 'sent') {
+            this.showSuccess();
+        } else if (event.type === 'dropped') {
+            this.showError(`Un message en attente n'a pas pu être envoyé : ${event.error.message}`);
+        }
+    }
 
-            // Disable button and show loading state
-            submitButton.disabled = true;
-            submitButton.innerHTML = `<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Envoi en cours...`;
+    /**
+     * Applies the field rules on top of the HTML constraints through custom validity messages.
+     * @returns {boolean} - Whether the whole form is valid.
+     */
+    validateFields() {
+        const { name, phone, subject, message } = this.fields;
+        Object.values(this.fields).forEach(field => field && field.setCustomValidity(''));
 
-            try {
-                const { error } = await this.supabaseManager.submitContactForm(name, email, subject, message);
-
-                if (error) {
-                    alert(`Une erreur est survenue: ${error.message}`);
-                } else {
-                    alert('Message envoyé avec succès !');
-                    this.form.reset();
-                    this.form.classList.remove('was-validated');
-                }
-            } catch (e) {
-                console.error("Submission failed", e);
-                alert(`Une erreur inattendue est survenue.`);
-            } finally {
-                // Restore button state
-                submitButton.disabled = false;
-                submitButton.innerHTML = originalButtonHtml;
+        if (name && name.value.trim().length < 1) {
+            name.setCustomValidity('Veuillez saisir au moins 1 caractère pour le nom.');
+        }
+        if (phone) {
+            if (phone.value.trim() === '') {
+                phone.setCustomValidity('Veuillez entrer votre numéro de téléphone.');
+            } else if (this.phoneInputManager) {
+                phone.setCustomValidity(this.phoneInputManager.getValidationMessage());
+            }
+        }
+        if (subject && subject.value.trim().length < 5) {
+            subject.setCustomValidity('Veuillez saisir au moins 5 caractères pour le sujet.');
+        }
+        if (message && message.value.trim().length < 10) {
+            message.setCustomValidity('Veuillez saisir au moins 10 caractères pour votre message.');
+        }
+
+        Object.values(this.fields).forEach(field => field && this.updateFieldFeedback(field));
+        return this.form.checkValidity();
+    }
+
+    /**
+     * Shows the validation message of a field in its .invalid-feedback block.
+     * The block is forced visible because some inputs (e.g. intl-tel-input) are wrapped,
+     * which breaks Bootstrap's sibling selector.
+     */
+    updateFieldFeedback(field) {
+        const feedback = field.closest('.mb-3')?.querySelector('.invalid-feedback');
+        if (!feedback) return;
+        if (!field.validity.valid) {
+            feedback.textContent = field.validationMessage;
+        }
+        feedback.classList.toggle('d-block', !field.validity.valid);
+    }
+
+    async handleSubmit(event) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        this.hideFeedback();
+        const isValid = this.validateFields();
+        // Add was-validated class to trigger Bootstrap's styles
+        this.form.classList.add('was-validated');
+
+        if (!isValid) {
+            console.log('Form is invalid. Submission stopped.');
+            return;
+        }
+
+        if (this.spamGuard) {
+            const verdict = this.spamGuard.check();
+            if (verdict.silent) {
+                // Pretend it worked: bots must not learn which check caught them
+                this.showSuccess();
+                this.resetForm();
+                return;
+            }
+            if (!verdict.ok) {
+                this.showError(verdict.message);
+                return;
+            }
+        }
+
+        console.log('Contact form is valid, proceeding with submission.');
+
+        const formData = new FormData(this.form);
+        const name = formData.get('name').trim();
+        const email = formData.get('email').trim();
+        const phone = this.phoneInputManager
+            ? this.phoneInputManager.getNumber()
+            : formData.get('phone').trim();
+        const subject = formData.get('subject').trim();
+        const message = formData.get('message').trim();
+
+        const submitButton = this.form.querySelector('button[type="submit"]');
+        const originalButtonHtml = submitButton.innerHTML;
+
+        // Disable button and show loading state
+        submitButton.disabled = true;
+        submitButton.innerHTML = `<span class="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span> Envoi en cours...`;
+
+        try {
+            const pow = this.spamGuard ? await this.spamGuard.getProofOfWork() : null;
+            const contact = { name, email, phone, subject, message, pow };
+
+            const useFallback = this.fallbackTransport && !this.transport.isAvailable();
+            let { data, error } = useFallback
+                ? await this.fallbackTransport.send(contact)
+                // No need to wait for a network error when the browser already knows it is offline
+                : navigator.onLine
+                    ? await this.transport.send(contact)
+                    : { error: { message: 'Offline', retryable: true } };
+
+            if (error && error.retryable && this.outbox && !useFallback) {
+                await this.outbox.enqueue(contact);
+                this.spamGuard?.recordSubmission();
+                this.resetForm();
+                return;
+            }
+            if (error && this.fallbackTransport && !useFallback) {
+                ({ data, error } = await this.fallbackTransport.send(contact));
+            }
+
+            if (error) {
+                this.showError(`Une erreur est survenue : ${error.message}`);
+            } else if (data?.handoff) {
+                // The mail client takes over: keep the form filled in case the visitor cancels
+                this.spamGuard?.recordSubmission();
+                this.showHandoff();
+            } else {
+                this.spamGuard?.recordSubmission();
+                this.showSuccess();
+                this.resetForm();
+            }
+        } catch (e) {
+            console.error("Submission failed", e);
+            this.showError();
+        } finally {
+            // Restore button state
+            submitButton.disabled = false;
+            submitButton.innerHTML = originalButtonHtml;
+        }
+    }
+
+    resetForm() {
+        this.form.reset();
+        this.form.classList.remove('was-validated');
+        this.clearDraft();
+    }
+
+    scheduleDraftSave() {
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = setTimeout(() => this.saveDraft(), this.draftSaveDelay);
+    }
+
+    saveDraft() {
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = null;
+
+        const draft = {};
+        Object.entries(this.fields).forEach(([key, field]) => {
+            if (field && field.value.trim() !== '') draft[key] = field.value;
+        });
+        try {
+            if (Object.keys(draft).length === 0) {
+                sessionStorage.removeItem(this.draftStorageKey);
+                return;
+            }
+            if (draft.phone && this.phoneInputManager) {
+                draft.phoneCountry = this.phoneInputManager.getCountryCode();
+            }
+            sessionStorage.setItem(this.draftStorageKey, JSON.stringify(draft));
+        } catch (e) {
+            console.warn('ContactFormHandler: Could not save the draft', e);
+        }
+    }
+
+    restoreDraft() {
+        let draft;
+        try {
+            draft = JSON.parse(sessionStorage.getItem(this.draftStorageKey));
+        } catch (e) {
+            draft = null;
+        }
+        if (!draft) return;
+
+        Object.entries(this.fields).forEach(([key, field]) => {
+            if (!field || typeof draft[key] !== 'string') return;
+            if (key === 'phone' && this.phoneInputManager) {
+                this.phoneInputManager.setValue(draft.phone, draft.phoneCountry);
+            } else {
+                field.value = draft[key];
             }
         });
+        if (this.draftMessage) {
+            this.draftMessage.style.display = 'block';
+        }
+    }
+
+    clearDraft() {
+        clearTimeout(this.draftSaveTimer);
+        this.draftSaveTimer = null;
+        try {
+            sessionStorage.removeItem(this.draftStorageKey);
+        } catch (e) {
+            console.warn('ContactFormHandler: Could not clear the draft', e);
+        }
+    }
+
+    showSuccess() {
+        if (this.successMessage) {
+            this.successMessage.style.display = 'block';
+        }
+    }
+
+    /**
+     * Shows how many messages are waiting in the outbox, or hides the block when none is.
+     */
+    showQueued(pending) {
+        if (!this.queuedMessage) return;
+        if (pending > 0) {
+            const counter = this.queuedMessage.querySelector('.contact-queued-count');
+            if (counter) {
+                counter.textContent = pending > 1 ? `${pending} messages en attente` : '1 message en attente';
+            }
+            this.queuedMessage.style.display = 'block';
+        } else {
+            this.queuedMessage.style.display = 'none';
+        }
+    }
+
+    showHandoff() {
+        if (this.handoffMessage) {
+            this.handoffMessage.style.display = 'block';
+        }
+    }
+
+    showError(text = this.defaultErrorText) {
+        if (this.errorMessage) {
+            this.errorMessage.textContent = text;
+            this.errorMessage.style.display = 'block';
+        }
+    }
+
+    hideFeedback() {
+        if (this.successMessage) this.successMessage.style.display = 'none';
+        if (this.errorMessage) this.errorMessage.style.display = 'none';
+        if (this.handoffMessage) this.handoffMessage.style.display = 'none';
+        if (this.draftMessage) this.draftMessage.style.display = 'none';
     }
 }
 
 /**
  * Manages the international telephone input field.
  * - Initializes the intl-tel-input library on a given input field.
+ * - Validates the number with the library's parsing, with messages naming the selected country.
+ * - Exposes the number normalized to E.164 (e.g. +33612345678).
  */
 class PhoneInputManager {
     constructor(inputElement) {
         this.inputElement = inputElement;
+        this.iti = null;
+        this.countryNames = typeof Intl.DisplayNames === 'function'
+            ? new Intl.DisplayNames(['fr'], { type: 'region' })
+            : null;
         this.init();
     }
 
@@ -559,15 +3488,103 @@ class PhoneInputManager {
             return;
         }
         try {
-            window.intlTelInput(this.inputElement, {
+            this.iti = window.intlTelInput(this.inputElement, {
                 initialCountry: "fr",
-                utilsScript: "https://cdn.jsdelivr.net/npm/intl-tel-input@25.10.1/build/js/utils.js",
+                // Since v25 the utils (number parsing/validation) are loaded through `loadUtils`
+                loadUtils: () => import("https://cdn.jsdelivr.net/npm/intl-tel-input@25.10.1/build/js/utils.js"),
             });
             console.log('PhoneInputManager initialized successfully.');
         } catch (error) {
             console.error('Failed to initialize intl-tel-input:', error);
         }
     }
+
+    /**
+     * Whether the libphonenumber utils are available, i.e. numbers can be parsed.
+     */
+    hasUtils() {
+        return Boolean(this.iti && window.intlTelInput.utils);
+    }
+
+    /**
+     * @returns {string} - An empty string when the number is valid, otherwise the reason it is not.
+     */
+    getValidationMessage() {
+        const value = this.inputElement.value.trim();
+        if (!this.hasUtils()) {
+            // Without the utils, only check that the number looks like a phone number
+            const digits = value.replace(/\D/g, '');
+            return /^\+?[\d\s().-]+$/.test(value) && digits.length >= 6 && digits.length <= 15
+                ? ''
+                : 'Veuillez saisir un numéro de téléphone valide.';
+        }
+
+        if (this.iti.isValidNumber()) return '';
+
+        const country = this.getCountryName();
+        const example = this.getExampleNumber();
+        const hint = example ? ` (ex. : ${example})` : '';
+        const { validationError } = window.intlTelInput.utils;
+        switch (this.iti.getValidationError()) {
+            case validationError.INVALID_COUNTRY_CODE:
+                return 'L\'indicatif international de ce numéro est inconnu.';
+            case validationError.TOO_SHORT:
+                return `Ce numéro est trop court pour ${country}${hint}.`;
+            case validationError.TOO_LONG:
+                return `Ce numéro est trop long pour ${country}${hint}.`;
+            default:
+                return `Ce numéro n'est pas valide pour ${country}${hint}.`;
+        }
+    }
+
+    /**
+     * @returns {string} - The number in E.164 format, e.g. +33612345678.
+     */
+    getNumber() {
+        if (this.hasUtils()) {
+            return this.iti.getNumber(window.intlTelInput.utils.numberFormat.E164);
+        }
+        const value = this.inputElement.value.trim();
+        const digits = value.replace(/\D/g, '');
+        if (value.startsWith('+')) return `+${digits}`;
+        // National number: prefix with the dial code of the selected country, without the trunk prefix
+        const dialCode = this.iti?.getSelectedCountryData().dialCode;
+        return dialCode ? `+${dialCode}${digits.replace(/^0/, '')}` : digits;
+    }
+
+    /**
+     * @returns {string} - The ISO 3166-1 alpha-2 code of the selected country (e.g. "fr"), or an empty string.
+     */
+    getCountryCode() {
+        return this.iti?.getSelectedCountryData().iso2 || '';
+    }
+
+    /**
+     * Fills the field with a number as typed by the user, in the given country.
+     */
+    setValue(value, countryCode = '') {
+        if (this.iti && countryCode) {
+            this.iti.setCountry(countryCode);
+        }
+        this.inputElement.value = value;
+    }
+
+    getCountryName() {
+        const countryData = this.iti.getSelectedCountryData();
+        if (!countryData.iso2) return 'ce pays';
+        try {
+            return this.countryNames?.of(countryData.iso2.toUpperCase()) || countryData.name;
+        } catch (e) {
+            return countryData.name;
+        }
+    }
+
+    getExampleNumber() {
+        const { iso2 } = this.iti.getSelectedCountryData();
+        const { utils } = window.intlTelInput;
+        if (!iso2 || typeof utils.getExampleNumber !== 'function') return '';
+        return utils.getExampleNumber(iso2, true, utils.numberType.MOBILE);
+    }
 }
 
 
@@ -578,12 +3595,21 @@ document.addEventListener('DOMContentLoaded', () => {
     // Safely initialize ThemeManager
     if (document.getElementById('themeDropdown')) {
         try {
-            new ThemeManager();
+            new ThemeManager(readThemeConfig().themes);
         } catch (e) {
             console.error("Failed to initialize ThemeManager:", e);
         }
     }
 
+    const themeSwitcher = document.querySelector('.theme-switcher-container');
+    if (themeSwitcher) {
+        try {
+            new ReadingPreferencesManager(themeSwitcher);
+        } catch (e) {
+            console.error("Failed to initialize ReadingPreferencesManager:", e);
+        }
+    }
+
     // Safely initialize Navbar features
     const navbar = document.querySelector('.navbar');
     if (navbar) {
@@ -615,12 +3641,52 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Safely initialize SmoothScrollWithOffset
+    let smoothScroll = null;
     try {
-        new SmoothScrollWithOffset();
+        smoothScroll = new SmoothScrollWithOffset();
     } catch (e) {
         console.error("Failed to initialize SmoothScrollWithOffset:", e);
     }
 
+    // Safely initialize TableOfContentsManager (Asciidoctor posts with a #toc)
+    const toc = document.getElementById('toc');
+    if (toc) {
+        try {
+            new TableOfContentsManager(toc);
+        } catch (e) {
+            console.error("Failed to initialize TableOfContentsManager:", e);
+        }
+    }
+
+    // Safely initialize HeadingAnchorManager (blog posts only)
+    const postContent = document.querySelector('#main-content article .content');
+    if (postContent) {
+        try {
+            new HeadingAnchorManager(postContent);
+        } catch (e) {
+            console.error("Failed to initialize HeadingAnchorManager:", e);
+        }
+    }
+
+    // Safely initialize ImageLightboxManager (blog posts only)
+    if (postContent) {
+        try {
+            new ImageLightboxManager(postContent);
+        } catch (e) {
+            console.error("Failed to initialize ImageLightboxManager:", e);
+        }
+    }
+
+    // Safely initialize ReadingProgressManager (blog posts only)
+    const postArticle = document.querySelector('#main-content article');
+    if (postArticle && postArticle.querySelector('.content')) {
+        try {
+            new ReadingProgressManager(postArticle, smoothScroll);
+        } catch (e) {
+            console.error("Failed to initialize ReadingProgressManager:", e);
+        }
+    }
+
     // Safely initialize CodeBlockManager
     try {
         new CodeBlockManager();
@@ -635,24 +3701,52 @@ document.addEventListener('DOMContentLoaded', () => {
         console.error("Failed to initialize TooltipManager:", e);
     }
 
-    // Initialize SupabaseManager and ContactFormHandler together
-    const contactForm = document.getElementById('contact-form');
-    if (contactForm) {
+    // Safely initialize SiteSearchManager
+    const searchModal = document.getElementById('searchModal');
+    if (searchModal) {
         try {
-            const supabaseManager = new SupabaseManager();
-            new ContactFormHandler(contactForm, supabaseManager);
+            new SiteSearchManager(searchModal);
         } catch (e) {
-            console.error("Failed to initialize SupabaseManager or ContactFormHandler:", e);
+            console.error("Failed to initialize SiteSearchManager:", e);
         }
     }
 
-    // Safely initialize PhoneInputManager
+    // Safely initialize PhoneInputManager (before the contact form, which relies on it)
+    let phoneInputManager = null;
     const phoneInputField = document.querySelector("#phone");
     if (phoneInputField) {
         try {
-            new PhoneInputManager(phoneInputField);
+            phoneInputManager = new PhoneInputManager(phoneInputField);
         } catch (e) {
             console.error("Failed to initialize PhoneInputManager:", e);
         }
     }
+
+    // Initialize the ContactTransport, ContactOutbox and ContactFormHandler together
+    const contactForm = document.getElementById('contact-form');
+    if (contactForm) {
+        try {
+            const contactConfig = readContactConfig();
+            const transport = createContactTransport(contactConfig.transport);
+            const fallbackTransport = contactConfig.fallback ? createContactTransport(contactConfig.fallback) : null;
+            // Queued messages go through the transport they were queued with, which may not be the current one
+            const transportFor = createContactTransportLookup([[contactConfig.transport, transport]]);
+            const outbox = ContactOutbox.isSupported()
+                ? new ContactOutbox((contact, transportConfig) => transportFor(transportConfig).send(contact), { transportConfig: contactConfig.transport })
+                : null;
+            const spamGuard = new ContactSpamGuard(contactForm, contactConfig.spamGuard);
+            new ContactFormHandler(contactForm, transport, { fallbackTransport, phoneInputManager, outbox, spamGuard });
+        } catch (e) {
+            console.error("Failed to initialize ContactTransport or ContactFormHandler:", e);
+        }
+    } else if (ContactOutbox.isSupported()) {
+        // Deliver the messages queued during a previous visit from any page of the site,
+        // with the transport they were queued with: only the contact page has #contact-config
+        try {
+            const transportFor = createContactTransportLookup();
+            new ContactOutbox((contact, transportConfig) => transportFor(transportConfig).send(contact));
+        } catch (e) {
+            console.error("Failed to initialize ContactOutbox:", e);
+        }
+    }
 });
\ No newline at end of file
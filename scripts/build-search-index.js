@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+// ===============================================================================================================
+// Search Index Builder
+// ===============================================================================================================
+// Walks the baked site (blog/**/*.html, tags/*.html, archive.html) and writes search-index.json at the site root,
+// consumed by SiteSearchManager in js/script.js.
+//
+// Usage: node scripts/build-search-index.js [siteDir] [outputFile]
+//   siteDir    - Root of the generated site (defaults to the parent directory of this script).
+//   outputFile - Where to write the index (defaults to <siteDir>/search-index.json).
+//
+// Only Node.js built-in modules are used so the script can run right after the JBake bake, without any install.
+// ===============================================================================================================
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Version of the index format. Bump it whenever the shape of the documents changes
+ * so that the front end can detect an incompatible index.
+ */
+const INDEX_VERSION = 1;
+
+const DESCRIPTION_MAX_LENGTH = 200;
+
+const MONTHS = {
+    january: '01', february: '02', march: '03', april: '04', may: '05', june: '06',
+    july: '07', august: '08', september: '09', october: '10', november: '11', december: '12'
+};
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    hellip: '…', mdash: '—', ndash: '–', laquo: '«', raquo: '»', rsquo: '’', lsquo: '‘', ldquo: '“', rdquo: '”'
+};
+
+/**
+ * Extracts the searchable data of the baked HTML pages.
+ * - Uses archive.html as the list of published posts (drafts are not listed there) and for the publication dates.
+ * - Uses the tags/*.html pages to map every post to its tags, and fails when the bake filled them all with the newest posts.
+ * - Reads each post for its title, #toc headings, description and plain body text.
+ */
+class SearchIndexBuilder {
+    constructor(siteDir) {
+        this.siteDir = siteDir;
+    }
+
+    build() {
+        const archive = this.readArchive();
+        const tagsByPost = this.readTags(archive);
+
+        const documents = this.listFiles('blog')
+            .filter(file => file.endsWith('.html'))
+            .map(file => this.toSiteUrl(file))
+            .filter(url => archive.has(url))
+            .map(url => this.readPost(url, archive.get(url), tagsByPost.get(url) || []))
+            .sort((a, b) => b.date.localeCompare(a.date) || a.url.localeCompare(b.url));
+
+        return { version: INDEX_VERSION, documents };
+    }
+
+    /**
+     * @returns {Map<string, string>} - Published post URLs mapped to their ISO publication date.
+     */
+    readArchive() {
+        const html = this.readFile('archive.html');
+        const archive = new Map();
+        const entryPattern = /<a href="([^"]+)" class="themed-list-group-item[\s\S]*?<small>Publié le ([^<]+)<\/small>/g;
+        let match;
+        while ((match = entryPattern.exec(html)) !== null) {
+            archive.set(match[1], this.parseDate(match[2]));
+        }
+        return archive;
+    }
+
+    /**
+     * @param {Map<string, string>} archive - Published post URLs mapped to their ISO publication date.
+     * @returns {Map<string, Array<string>>} - Post URLs mapped to their tags.
+     */
+    readTags(archive) {
+        const pages = [];
+        this.listFiles('tags')
+            .filter(file => file.endsWith('.html'))
+            .forEach(file => {
+                const html = this.readFile(file);
+                const tagMatch = html.match(/<h1>Tag: ([^<]+)<\/h1>/);
+                if (!tagMatch) return;
+                const tag = this.decodeEntities(tagMatch[1]).trim();
+
+                // Only the listing links: the navbar dropdown also links to posts
+                const listing = html.slice(tagMatch.index);
+                const linkPattern = /<a href="\.\.\/(blog\/[^"]+\.html)">/g;
+                const urls = [];
+                let match;
+                while ((match = linkPattern.exec(listing)) !== null) {
+                    urls.push(match[1]);
+                }
+                pages.push({ file, tag, urls });
+            });
+
+        if (pages.length > 1 && pages.every(({ urls }) => this.listsNewestPosts(urls, archive))) {
+            throw new Error(`The ${pages.length} tag pages all list the newest posts instead of the posts of their tag ` +
+                `(e.g. ${pages[0].file}): fix the tags template and bake the site again.`);
+        }
+
+        const tagsByPost = new Map();
+        pages.forEach(({ tag, urls }) => urls.forEach(url => {
+            if (!tagsByPost.has(url)) tagsByPost.set(url, []);
+            tagsByPost.get(url).push(tag);
+        }));
+        tagsByPost.forEach((tags, url) => tagsByPost.set(url, this.dedupeTags(tags)));
+        return tagsByPost;
+    }
+
+    /**
+     * Whether a tag page lists the newest posts of the archive, which is all a broken tags template bakes.
+     * A real tag can do so too, so only a bake where every tag page does is rejected.
+     * - True when no unlisted published post is newer than the oldest listed one.
+     */
+    listsNewestPosts(urls, archive) {
+        const listed = new Set(urls.filter(url => archive.has(url)));
+        if (listed.size === 0) return false;
+
+        const oldestListed = [...listed].map(url => archive.get(url)).sort()[0];
+        return [...archive].every(([url, date]) => listed.has(url) || date <= oldestListed);
+    }
+
+    readPost(url, archivedDate, tags) {
+        const html = this.readFile(url);
+        const titleMatch = html.match(/<header class="page-header[^"]*">\s*<h1[^>]*>([\s\S]*?)<\/h1>/);
+        const dateMatch = html.match(/<em>Publié le ([^<]+)<\/em>/);
+
+        const content = this.extractContent(html);
+        const tocMatch = content.match(/<div id="toc"[^>]*>\s*<div id="toctitle">[\s\S]*?<\/div>\s*<ul[\s\S]*?<\/ul>\s*<\/div>/);
+        const body = tocMatch ? content.replace(tocMatch[0], ' ') : content;
+
+        return {
+            url,
+            title: titleMatch ? this.toText(titleMatch[1]) : path.basename(url, '.html'),
+            date: archivedDate || (dateMatch ? this.parseDate(dateMatch[1]) : ''),
+            tags,
+            description: this.extractDescription(body),
+            headings: tocMatch ? this.extractTocHeadings(tocMatch[0]) : this.extractHeadings(body),
+            body: this.toText(body)
+        };
+    }
+
+    /**
+     * Returns the post content, between the page header and the Disqus comments.
+     */
+    extractContent(html) {
+        const start = html.indexOf('<div class="content">');
+        if (start < 0) return '';
+        const endMarkers = ['<!-- Section Commentaires Disqus -->', '</article>']
+            .map(marker => html.indexOf(marker, start))
+            .filter(index => index >= 0);
+        return html.slice(start, endMarkers.length ? Math.min(...endMarkers) : undefined);
+    }
+
+    extractTocHeadings(toc) {
+        const headings = [];
+        const linkPattern = /<a href="#[^"]*">([\s\S]*?)<\/a>/g;
+        let match;
+        while ((match = linkPattern.exec(toc)) !== null) {
+            headings.push(this.toText(match[1]));
+        }
+        return headings;
+    }
+
+    extractHeadings(html) {
+        const headings = [];
+        const headingPattern = /<h([2-4])[^>]*>([\s\S]*?)<\/h\1>/g;
+        let match;
+        while ((match = headingPattern.exec(html)) !== null) {
+            headings.push(this.toText(match[2]));
+        }
+        return headings;
+    }
+
+    extractDescription(html) {
+        const paragraphPattern = /<p>([\s\S]*?)<\/p>/g;
+        let match;
+        while ((match = paragraphPattern.exec(html)) !== null) {
+            const text = this.toText(match[1]);
+            if (text) {
+                return text.length > DESCRIPTION_MAX_LENGTH
+                    ? `${text.slice(0, DESCRIPTION_MAX_LENGTH).replace(/\s+\S*$/, '')}…`
+                    : text;
+            }
+        }
+        return '';
+    }
+
+    /**
+     * Converts an HTML fragment to collapsed plain text.
+     */
+    toText(html) {
+        const text = html
+            .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]+>/g, ' ');
+        return this.decodeEntities(text).replace(/\s+/g, ' ').trim();
+    }
+
+    decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return String.fromCodePoint(codePoint);
+            }
+            return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+        });
+    }
+
+    /**
+     * Converts a JBake "17 July 2025" date to "2025-07-17".
+     */
+    parseDate(value) {
+        const match = value.trim().match(/^(\d{1,2}) ([A-Za-z]+) (\d{4})$/);
+        if (!match || !MONTHS[match[2].toLowerCase()]) return '';
+        return `${match[3]}-${MONTHS[match[2].toLowerCase()]}-${match[1].padStart(2, '0')}`;
+    }
+
+    /**
+     * Some tags exist with and without accents (mathematique/mathématique): keep one, preferring the accented form.
+     */
+    dedupeTags(tags) {
+        const byKey = new Map();
+        tags.forEach(tag => {
+            const key = tag.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+            const existing = byKey.get(key);
+            if (!existing || tag.normalize('NFD').length > existing.normalize('NFD').length) {
+                byKey.set(key, tag);
+            }
+        });
+        return [...byKey.values()].sort((a, b) => a.localeCompare(b, 'fr'));
+    }
+
+    listFiles(dir) {
+        const absoluteDir = path.join(this.siteDir, dir);
+        if (!fs.existsSync(absoluteDir)) return [];
+        return fs.readdirSync(absoluteDir, { withFileTypes: true }).flatMap(entry => {
+            const relativePath = path.join(dir, entry.name);
+            return entry.isDirectory() ? this.listFiles(relativePath) : [relativePath];
+        });
+    }
+
+    readFile(relativePath) {
+        return fs.readFileSync(path.join(this.siteDir, relativePath), 'utf8');
+    }
+
+    toSiteUrl(relativePath) {
+        return relativePath.split(path.sep).join('/');
+    }
+}
+
+if (require.main === module) {
+    const siteDir = path.resolve(process.argv[2] || path.join(__dirname, '..'));
+    const outputFile = path.resolve(process.argv[3] || path.join(siteDir, 'search-index.json'));
+
+    try {
+        const index = new SearchIndexBuilder(siteDir).build();
+        fs.writeFileSync(outputFile, JSON.stringify(index));
+        console.log(`Search index v${index.version} written to ${outputFile} (${index.documents.length} documents).`);
+    } catch (error) {
+        console.error('Failed to build the search index:', error);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { SearchIndexBuilder, INDEX_VERSION };
@@ -12,6 +12,66 @@ var RevealSearch = (function() {
 	var searchboxDirty;
 	var myHilitor;
 
+// Case, accent and light stemming normalization of French words, so that searching "mathematiques"
+// highlights "Mathématique". Mirrors FrenchTextNormalizer from the site's js/script.js.
+var frenchNormalizer = {
+	stopWords: ["a", "au", "aux", "avec", "ce", "ces", "cet", "cette", "dans", "de", "des", "du", "elle", "elles", "en",
+		"est", "et", "il", "ils", "je", "la", "le", "les", "leur", "leurs", "mais", "ne", "nous", "on", "ou",
+		"par", "pas", "pour", "qu", "que", "qui", "sa", "se", "ses", "son", "sont", "sur", "ta", "te", "tu",
+		"un", "une", "vous", "y", "d", "j", "l", "m", "n", "s", "t"],
+	suffixes: ["issements", "issement", "ements", "ement", "ations", "ation", "atrices", "atrice", "ateurs", "ateur",
+		"euses", "euse", "eurs", "eur", "ees", "ee", "es", "er", "ez", "e", "s", "x"],
+	minStemLength: 3,
+
+	fold: function(text)
+	{
+		return (text || "").toLowerCase().replace(/œ/g, "oe").replace(/æ/g, "ae").normalize("NFD").replace(/\p{M}/gu, "");
+	},
+
+	stem: function(word)
+	{
+		if(word.length <= this.minStemLength || /\d/.test(word)) return word;
+		for(var i=0; i < this.suffixes.length; i++) {
+			var suffix = this.suffixes[i];
+			if(word.length - suffix.length >= this.minStemLength && word.slice(-suffix.length) === suffix) {
+				return word.slice(0, -suffix.length);
+			}
+		}
+		return word;
+	},
+
+	tokenize: function(text)
+	{
+		var self = this;
+		var words = this.fold(text).match(/[\p{L}\p{N}]+/gu) || [];
+		return words.filter(function(word) { return self.stopWords.indexOf(word) < 0; })
+			.map(function(word) { return self.stem(word); });
+	},
+
+	// Runs the regex on the folded text and maps the match back to the original text,
+	// returning a RegExp-like result ([0] is the matched word, index its position)
+	exec: function(regex, text)
+	{
+		if(!regex) return null;
+		var folded = "";
+		var origins = [];
+		for(var i=0; i < text.length; i++) {
+			var foldedChar = this.fold(text[i]);
+			folded += foldedChar;
+			for(var j=0; j < foldedChar.length; j++) origins.push(i);
+		}
+		origins.push(text.length);
+
+		var match = regex.exec(folded);
+		if(!match) return null;
+		var start = origins[match.index + match[1].length];
+		var end = origins[match.index + match[0].length];
+		var result = [text.substring(start, end)];
+		result.index = start;
+		return result;
+	}
+};
+
 // Original JavaScript code by Chirp Internet: www.chirp.com.au
 // Please acknowledge use of this code by including this header.
 // 2/2013 jon: modified regex to display any match, not restricted to word boundaries.
@@ -26,17 +86,22 @@ function Hilitor(id, tag)
 	var wordColor = [];
 	var colorIdx = 0;
 	var matchRegex = "";
+	var matchStems = [];
 	var matchingSlides = [];
 
+	// Matches folded words starting with one of the stems of the input (see frenchNormalizer)
 	this.setRegex = function(input)
 	{
-		input = input.replace(/^[^\w]+|[^\w]+$/g, "").replace(/[^\w'-]+/g, "|");
-		matchRegex = new RegExp("(" + input + ")","i");
+		var stems = frenchNormalizer.tokenize(input).map(function(stem) {
+			return stem.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+		});
+		matchRegex = stems.length ? new RegExp("(^|[^\\p{L}\\p{N}])((?:" + stems.join("|") + ")[\\p{L}\\p{N}]*)", "u") : "";
+		matchStems = stems;
 	}
 
 	this.getRegex = function()
 	{
-		return matchRegex.toString().replace(/^\/\\b\(|\)\\b\/i$/g, "").replace(/\|/g, " ");
+		return matchStems.join(" ");
 	}
 
 	// recursively apply word highlighting
@@ -51,7 +116,7 @@ function Hilitor(id, tag)
 				this.hiliteWords(node.childNodes[i]);
 		}
 		if(node.nodeType == 3) { // NODE_TEXT
-			if((nv = node.nodeValue) && (regs = matchRegex.exec(nv))) {
+			if((nv = node.nodeValue) && (regs = frenchNormalizer.exec(matchRegex, nv))) {
 				//find the slide's section element and save it in our list of matching slides
 				var secnode = node;
 				while (secnode != null && secnode.nodeName != 'SECTION') {
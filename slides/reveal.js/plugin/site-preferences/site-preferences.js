@@ -0,0 +1,113 @@
+/*
+ * Applies the preferences saved by the site (js/script.js) to a reveal.js deck of slides/, and follows their
+ * changes live while the deck is open:
+ * - the theme ('preferred-theme') picks the closest reveal.js theme of css/theme/;
+ * - the font family of the reading preferences ('reading-preferences') replaces the fonts of the theme.
+ * Without a saved theme, the deck keeps its own theme.
+ *
+ * Changes come through the 'site-preferences' BroadcastChannel published by PreferencesSync in js/script.js,
+ * or through the storage event in browsers without BroadcastChannel.
+ *
+ * Load it after reveal.js in the deck:
+ * <script src="reveal.js/plugin/site-preferences/site-preferences.js"></script>
+ */
+
+var RevealSitePreferences = (function() {
+
+	var CHANNEL_NAME = 'site-preferences';
+
+	// Site theme -> reveal.js theme
+	var REVEAL_THEMES = {
+		'light': 'white',
+		'dark': 'black',
+		'high-contrast': 'black',
+		'sepia': 'beige',
+		'solarized': 'solarized',
+		'dyslexia': 'white'
+	};
+
+	// Extra rules on top of the reveal.js theme, for site themes without a close match
+	var THEME_OVERRIDES = {
+		'high-contrast': 'body { background: #000000; } .reveal { color: #ffffff; }' +
+			' .reveal a { color: #00ff00; text-decoration: underline; }',
+		'dyslexia': 'body { background: #fbf8ef; }' +
+			' .reveal { color: #2b2b2b; line-height: 1.6; letter-spacing: 0.04em; word-spacing: 0.12em; }'
+	};
+
+	// The script sits in slides/reveal.js/plugin/site-preferences/: the site root is four levels up
+	var scriptSource = document.currentScript ? document.currentScript.src : window.location.href;
+	var fontsUrl = new URL( '../../../../fonts/opendyslexic/', scriptSource ).href;
+
+	var themeLink = document.getElementById( 'theme' ) ||
+		document.querySelector( 'link[rel="stylesheet"][href*="css/theme/"]' );
+	var originalThemeHref = themeLink ? themeLink.getAttribute( 'href' ) : null;
+	var style;
+
+	function readStorage( key ) {
+		try {
+			return window.localStorage.getItem( key );
+		} catch( e ) {
+			return null;
+		}
+	}
+
+	function getStyleElement() {
+		if( !style ) {
+			style = document.createElement( 'style' );
+			style.id = 'site-preferences-styles';
+			document.head.appendChild( style );
+		}
+		return style;
+	}
+
+	function applyPreferences() {
+		var theme = readStorage( 'preferred-theme' );
+		var readingPreferences = {};
+		try {
+			readingPreferences = JSON.parse( readStorage( 'reading-preferences' ) ) || {};
+		} catch( e ) { /* Corrupted preferences: ignore them */ }
+
+		if( themeLink && originalThemeHref ) {
+			var revealTheme = REVEAL_THEMES[ theme ];
+			themeLink.setAttribute( 'href', revealTheme ? originalThemeHref.replace( /[^/]*\.css$/, revealTheme + '.css' ) : originalThemeHref );
+		}
+
+		var css = '';
+		if( THEME_OVERRIDES[ theme ] ) {
+			css += THEME_OVERRIDES[ theme ];
+		}
+		// Only plain font stacks: the value ends up in a style sheet
+		if( typeof readingPreferences.fontFamily === 'string' && /^[\w\s'",.-]+$/.test( readingPreferences.fontFamily ) ) {
+			css += '@font-face { font-family: "OpenDyslexic"; font-weight: 400; font-display: swap;' +
+				' src: url(' + fontsUrl + 'opendyslexic-latin-400-normal.woff2) format("woff2"); }' +
+				'@font-face { font-family: "OpenDyslexic"; font-weight: 700; font-display: swap;' +
+				' src: url(' + fontsUrl + 'opendyslexic-latin-700-normal.woff2) format("woff2"); }' +
+				'.reveal, .reveal h1, .reveal h2, .reveal h3, .reveal h4, .reveal h5, .reveal h6 {' +
+				' font-family: ' + readingPreferences.fontFamily + ' !important; }';
+		}
+		getStyleElement().textContent = css;
+
+		// Fonts and line heights change the size of the slides
+		if( window.Reveal && Reveal.isReady && Reveal.isReady() ) Reveal.layout();
+	}
+
+	function isWatchedKey( key ) {
+		return key === 'preferred-theme' || key === 'reading-preferences';
+	}
+
+	if( 'BroadcastChannel' in window ) {
+		new BroadcastChannel( CHANNEL_NAME ).addEventListener( 'message', function( event ) {
+			if( event.data && isWatchedKey( event.data.key ) ) applyPreferences();
+		} );
+	}
+	else {
+		window.addEventListener( 'storage', function( event ) {
+			if( isWatchedKey( event.key ) ) applyPreferences();
+		} );
+	}
+
+	applyPreferences();
+
+	return { apply: applyPreferences };
+
+})();